@@ -0,0 +1,161 @@
+// analytics.js - Daily room_analytics rollups and materialized view refreshes
+//
+//   node analytics.js run                  roll up yesterday + today, refresh views
+//   node analytics.js backfill [from] [to] roll up every day in range (YYYY-MM-DD)
+//
+// Rollups overwrite their (room_id, date) rows, so any day can be re-run safely.
+const { metrics } = require('./metrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AnalyticsJob {
+  /**
+   * options.intervalMs - how often runIfDue() actually runs (default 1 hour)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.intervalMs = options.intervalMs || 60 * 60 * 1000;
+    this.lastRunAt = null;
+    this.running = false;
+  }
+
+  /**
+   * Called from the tracking loop; runs at most once per interval
+   */
+  async runIfDue(now = new Date()) {
+    if (this.running) return false;
+    if (this.lastRunAt && now - this.lastRunAt < this.intervalMs) return false;
+
+    await this.run(now);
+    return true;
+  }
+
+  /**
+   * Roll up yesterday (to finalise it after midnight) and today so far,
+   * then refresh the materialized views. Returns the rows written, or null
+   * if the rollup failed (logged, not thrown, so the tracking loop goes on).
+   */
+  async run(now = new Date()) {
+    this.running = true;
+    const startTime = Date.now();
+
+    try {
+      console.log('\n📈 Running analytics rollup...');
+      const today = toDateString(now);
+      const yesterday = toDateString(new Date(now.getTime() - DAY_MS));
+
+      const rows = await this.rollupDays([yesterday, today]);
+      await this.db.refreshMaterializedViews();
+
+      this.lastRunAt = now;
+      metrics.analyticsRuns.inc({ status: 'success' });
+      console.log(`✅ Analytics: ${rows} room/day rows, views refreshed (${Date.now() - startTime}ms)`);
+      return rows;
+
+    } catch (error) {
+      // Still wait a full interval before retrying so a broken query can't stall every iteration
+      this.lastRunAt = now;
+      metrics.analyticsRuns.inc({ status: 'error' });
+      console.error('❌ Analytics rollup failed:', error.message);
+      return null;
+
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Roll up every day from `from` to `to` inclusive. Defaults to the full
+   * range of recorded sessions and snapshots.
+   */
+  async backfill(from = null, to = null) {
+    if (!from || !to) {
+      const range = await this.db.getActivityDateRange();
+      if (!range) throw new Error('Could not determine activity date range');
+      from = from || range.first_date;
+      to = to || range.last_date;
+    }
+
+    const days = dateRange(from, to);
+    console.log(`📈 Backfilling analytics for ${days.length} day(s): ${from} → ${to}`);
+
+    const rows = await this.rollupDays(days);
+    await this.db.refreshMaterializedViews();
+
+    console.log(`✅ Backfill complete: ${rows} room/day rows`);
+    return rows;
+  }
+
+  async rollupDays(days) {
+    let rows = 0;
+    for (const day of days) {
+      const count = await this.db.rollupRoomAnalytics(day);
+      console.log(`   📅 ${day}: ${count} rooms`);
+      rows += count;
+    }
+    return rows;
+  }
+}
+
+/**
+ * Helper: UTC calendar date as YYYY-MM-DD
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Helper: Every YYYY-MM-DD from `from` to `to` inclusive
+ */
+function dateRange(from, to) {
+  const start = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error(`Invalid date range "${from}" → "${to}" (expected YYYY-MM-DD)`);
+  }
+  if (start > end) {
+    throw new Error(`Backfill start ${from} is after end ${to}`);
+  }
+
+  const days = [];
+  for (let t = start.getTime(); t <= end.getTime(); t += DAY_MS) {
+    days.push(toDateString(new Date(t)));
+  }
+  return days;
+}
+
+/**
+ * CLI entry point
+ */
+async function main(argv) {
+  const Database = require('./db');
+  const [command = 'run', from, to] = argv;
+  const db = new Database();
+  const job = new AnalyticsJob(db);
+
+  try {
+    await db.connect();
+
+    if (command === 'run') {
+      // run() only logs a failure - cron should still see it
+      if (await job.run() === null) {
+        process.exitCode = 1;
+      }
+    } else if (command === 'backfill') {
+      await job.backfill(from, to);
+    } else {
+      throw new Error(`Unknown analytics command "${command}" (expected run or backfill)`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+module.exports = { AnalyticsJob, dateRange, main };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('💥 Analytics failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,446 @@
+// api.js - Read-only HTTP API over the tracker database
+const http = require('http');
+const { registry } = require('./metrics');
+const { CoPresenceGraph } = require('./copresence');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const GRAPH_FORMATS = {
+  graphml: 'application/graphml+xml; charset=utf-8',
+  gexf: 'application/gexf+xml; charset=utf-8'
+};
+
+// Accept the plural forms used in profile URLs (/profile/:id/followers)
+const RELATIONSHIP_TYPES = {
+  follower: 'follower',
+  followers: 'follower',
+  following: 'following',
+  friend: 'friend',
+  friends: 'friend'
+};
+
+// Postgres errors that mean the database is unreachable or going away, not
+// that the query was wrong: connection exceptions (08xxx), shutdowns (57P0x)
+const UNAVAILABLE_CODES = /^(08|57P0)|^(ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND)$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class ApiServer {
+  /**
+   * options.isBrowserReady - () => bool, used by /readyz
+   * options.getHeartbeat   - () => Date of the tracking loop's last progress
+   * options.stuckAfterMs   - /healthz fails once the heartbeat is this old
+   * options.getGovernorState - () => RequestGovernor state for /governor
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = options;
+    this.server = null;
+    this.routes = [];
+    this.copresence = new CoPresenceGraph(db);
+
+    this.get('/healthz', this.getHealth);
+    this.get('/readyz', this.getReadiness);
+    this.get('/metrics', this.getMetrics);
+    this.get('/governor', this.getGovernor);
+
+    this.get('/users/:username', this.getUser);
+    this.get('/users/:username/relationships/:type', this.getUserRelationships);
+    this.get('/users/:username/relationships/:type/ended', this.getEndedRelationships);
+    this.get('/users/:username/unfollowers', this.getUnfollowers);
+    this.get('/users/:username/history', this.getUserHistory);
+    this.get('/users/:username/growth', this.getUserGrowth);
+    this.get('/growth/fastest', this.getFastestGrowing);
+    this.get('/growth/spikes', this.getFollowerSpikes);
+    this.get('/users/:username/companions', this.getCompanions);
+    this.get('/graph/communities', this.getCommunities);
+    this.get('/graph/export', this.getGraphExport);
+    this.get('/rooms/:roomId/participants', this.getRoomParticipants);
+    this.get('/rooms/:roomId/timeline', this.getRoomTimeline);
+    this.get('/rooms/:roomId/snapshots', this.getRoomSnapshots);
+    this.get('/rooms/:roomId/occupancy', this.getRoomOccupancy);
+    this.get('/rooms/:roomId/snapshot', this.getRoomSnapshotAt);
+    this.get('/rooms/:roomId/changes', this.getRoomChanges);
+    this.get('/stats', this.getStats);
+  }
+
+  /**
+   * Register a GET route; `:name` segments become req.params.name
+   */
+  get(path, handler) {
+    const keys = [];
+    const pattern = path.replace(/:(\w+)/g, (match, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+
+    this.routes.push({ regex: new RegExp(`^${pattern}/?$`), keys, handler: handler.bind(this) });
+  }
+
+  async start(port) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, resolve);
+    });
+
+    console.log(`🌐 API listening on port ${port}`);
+    return this.server;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async handle(req, res) {
+    let path = req.url;
+
+    try {
+      const url = parseRequestUrl(req.url);
+      path = url.pathname;
+
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+      }
+
+      for (const route of this.routes) {
+        const match = url.pathname.match(route.regex);
+        if (!match) continue;
+
+        const params = {};
+        route.keys.forEach((key, i) => {
+          params[key] = decodePathSegment(match[i + 1]);
+        });
+
+        const body = await route.handler(params, url.searchParams, res);
+        if (body !== undefined) {
+          sendJson(res, 200, body);
+        }
+        return;
+      }
+
+      throw new HttpError(404, `No route for ${url.pathname}`);
+
+    } catch (error) {
+      const status = error.status || (UNAVAILABLE_CODES.test(error.code || '') ? 503 : 500);
+      if (status >= 500) {
+        console.error(`❌ API ${req.method} ${path}:`, error.message);
+      }
+
+      sendJson(res, status, {
+        error: {
+          status: status,
+          message: status >= 500 ? (status === 503 ? 'Service unavailable' : 'Internal server error') : error.message
+        }
+      });
+    }
+  }
+
+  async getHealth(params, query, res) {
+    const heartbeat = this.options.getHeartbeat ? this.options.getHeartbeat() : null;
+    const stuckAfterMs = this.options.stuckAfterMs || 15 * 60 * 1000;
+    const stalledFor = heartbeat ? Date.now() - heartbeat.getTime() : 0;
+    const healthy = stalledFor < stuckAfterMs;
+
+    sendJson(res, healthy ? 200 : 503, {
+      status: healthy ? 'ok' : 'stuck',
+      uptimeSeconds: Math.round(process.uptime()),
+      lastHeartbeat: heartbeat
+    });
+  }
+
+  async getReadiness(params, query, res) {
+    const database = await this.db.ping();
+    const browser = this.options.isBrowserReady ? Boolean(this.options.isBrowserReady()) : true;
+    const ready = database && browser;
+
+    sendJson(res, ready ? 200 : 503, {
+      status: ready ? 'ready' : 'not ready',
+      checks: { database, browser }
+    });
+  }
+
+  async getMetrics(params, query, res) {
+    const body = registry.render();
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  async getGovernor() {
+    const state = this.options.getGovernorState ? this.options.getGovernorState() : null;
+    if (!state) {
+      throw new HttpError(503, 'Request governor is not running');
+    }
+    return { data: state };
+  }
+
+  async getUser({ username }) {
+    const user = await this.db.getUserByUsername(username);
+    if (!user) {
+      throw new HttpError(404, `User ${username} not found`);
+    }
+    return { data: user };
+  }
+
+  async getUserRelationships({ username, type }, query) {
+    const relationshipType = RELATIONSHIP_TYPES[type];
+    if (!relationshipType) {
+      throw new HttpError(400, `Unknown relationship type "${type}" (expected followers, following or friends)`);
+    }
+
+    const page = parsePagination(query);
+    const rows = await this.db.getUserRelationships(username, relationshipType, page);
+    return paginated(rows, page);
+  }
+
+  /**
+   * ?since= ISO date or epoch ms, default the last 7 days
+   */
+  async getEndedRelationships({ username, type }, query) {
+    const relationshipType = RELATIONSHIP_TYPES[type];
+    if (!relationshipType) {
+      throw new HttpError(400, `Unknown relationship type "${type}" (expected followers, following or friends)`);
+    }
+
+    const since = parseDate(query, 'since', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+    const page = parsePagination(query);
+    const rows = await this.db.getEndedRelationships(username, relationshipType, since, page);
+    return { ...paginated(rows, page), since: since };
+  }
+
+  async getUnfollowers({ username }, query) {
+    return this.getEndedRelationships({ username, type: 'followers' }, query);
+  }
+
+  async getUserHistory({ username }, query) {
+    const days = parseDays(query, 30);
+    const rows = await this.db.getUserMetricsHistory(username, days);
+    return { data: rows, days: days };
+  }
+
+  async getUserGrowth({ username }, query) {
+    const days = parseDays(query, 7);
+    const growth = await this.db.getUserGrowth(username, days);
+    if (!growth) {
+      throw new HttpError(404, `No metrics history for ${username}`);
+    }
+    return { data: growth, days: days };
+  }
+
+  async getFastestGrowing(params, query) {
+    const days = parseDays(query, 7);
+    const { limit } = parsePagination(query);
+    const rows = await this.db.getFastestGrowingUsers(days, limit);
+    return { data: rows, days: days };
+  }
+
+  async getFollowerSpikes(params, query) {
+    const days = parseDays(query, 7);
+    const page = parsePagination(query);
+    const rows = await this.db.getRecentActivity('follower_spike', days, page);
+    return paginated(rows, page);
+  }
+
+  async getCompanions({ username }, query) {
+    const page = parsePagination(query);
+    const rows = await this.copresence.topCompanions(username, page);
+    return paginated(rows, page);
+  }
+
+  async getCommunities(params, query) {
+    const minMinutes = parseMinMinutes(query, this.copresence.minMinutes);
+    const communities = await this.copresence.communities({ minMinutes });
+    return { data: communities, minMinutes: minMinutes };
+  }
+
+  async getGraphExport(params, query, res) {
+    const format = query.get('format') || 'graphml';
+    if (!GRAPH_FORMATS[format]) {
+      throw new HttpError(400, `Unknown format "${format}" (expected ${Object.keys(GRAPH_FORMATS).join(' or ')})`);
+    }
+
+    const minMinutes = parseMinMinutes(query, this.copresence.minMinutes);
+    const body = await this.copresence.export(format, { minMinutes });
+    res.writeHead(200, {
+      'Content-Type': GRAPH_FORMATS[format],
+      'Content-Disposition': `attachment; filename="copresence.${format}"`,
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  async getRoomParticipants({ roomId }, query) {
+    const page = parsePagination(query);
+    const rows = await this.db.getRoomParticipants(roomId, page);
+    return paginated(rows, page);
+  }
+
+  async getRoomTimeline({ roomId }, query) {
+    const page = parsePagination(query);
+    const rows = await this.db.getRoomTimeline(roomId, page);
+    return paginated(rows, page);
+  }
+
+  async getRoomSnapshots({ roomId }, query) {
+    const { from, to } = parseWindow(query);
+    const page = parsePagination(query);
+    const rows = await this.db.getRoomSnapshots(roomId, from, to, page);
+    return paginated(rows, page);
+  }
+
+  async getRoomOccupancy({ roomId }, query) {
+    const { from, to } = parseWindow(query);
+    const bucket = query.has('bucket') ? parseInt(query.get('bucket')) : 15;
+    if (Number.isNaN(bucket) || bucket < 1 || bucket > 1440) {
+      throw new HttpError(400, 'bucket must be between 1 and 1440 minutes');
+    }
+
+    const rows = await this.db.getRoomOccupancy(roomId, from, to, bucket);
+    return { data: rows, window: { from, to, bucketMinutes: bucket } };
+  }
+
+  async getRoomSnapshotAt({ roomId }, query) {
+    const at = parseDate(query, 'at', new Date());
+    const snapshot = await this.db.getRoomSnapshotAt(roomId, at);
+    if (!snapshot) {
+      throw new HttpError(404, `No snapshot of room ${roomId} at or before ${at.toISOString()}`);
+    }
+    return { data: snapshot };
+  }
+
+  async getRoomChanges({ roomId }, query) {
+    const page = parsePagination(query);
+    const rows = await this.db.getRoomChanges(roomId, page);
+    return paginated(rows, page);
+  }
+
+  async getStats() {
+    const stats = await this.db.getStats();
+    if (!stats) {
+      throw new HttpError(503, 'Statistics are unavailable');
+    }
+    return { data: stats };
+  }
+}
+
+/**
+ * Helper: Parse the request target; one `new URL` can't read (`//[`) is a 400
+ */
+function parseRequestUrl(requestUrl) {
+  try {
+    return new URL(requestUrl, 'http://localhost');
+  } catch (error) {
+    throw new HttpError(400, `Malformed request URL "${requestUrl}"`);
+  }
+}
+
+/**
+ * Helper: Decode a :param path segment; a malformed escape is the client's fault
+ */
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    if (error instanceof URIError) {
+      throw new HttpError(400, `Malformed path segment "${segment}"`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper: Read ?limit=&offset= with sane bounds
+ */
+function parsePagination(query) {
+  const limit = query.has('limit') ? parseInt(query.get('limit')) : DEFAULT_LIMIT;
+  const offset = query.has('offset') ? parseInt(query.get('offset')) : 0;
+
+  if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (Number.isNaN(offset) || offset < 0) {
+    throw new HttpError(400, 'offset must be a non-negative integer');
+  }
+
+  return { limit, offset };
+}
+
+/**
+ * Helper: Read ?days= (1-365)
+ */
+function parseDays(query, fallback) {
+  const days = query.has('days') ? parseInt(query.get('days')) : fallback;
+  if (Number.isNaN(days) || days < 1 || days > 365) {
+    throw new HttpError(400, 'days must be between 1 and 365');
+  }
+  return days;
+}
+
+function parseMinMinutes(query, fallback) {
+  const minutes = query.has('minMinutes') ? parseFloat(query.get('minMinutes')) : fallback;
+  if (Number.isNaN(minutes) || minutes < 0) {
+    throw new HttpError(400, 'minMinutes must be a non-negative number');
+  }
+  return minutes;
+}
+
+/**
+ * Helper: Read an ISO date/epoch-ms query parameter
+ */
+function parseDate(query, name, fallback) {
+  if (!query.has(name)) return fallback;
+
+  const raw = query.get(name);
+  const date = /^\d+$/.test(raw) ? new Date(parseInt(raw)) : new Date(raw);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} must be an ISO date or epoch milliseconds`);
+  }
+  return date;
+}
+
+/**
+ * Helper: Read ?from=&to=, defaulting to the last 24 hours
+ */
+function parseWindow(query) {
+  const to = parseDate(query, 'to', new Date());
+  const from = parseDate(query, 'from', new Date(to.getTime() - 24 * 60 * 60 * 1000));
+  if (from > to) {
+    throw new HttpError(400, 'from must be before to');
+  }
+  return { from, to };
+}
+
+function paginated(rows, { limit, offset }) {
+  return {
+    data: rows,
+    pagination: {
+      limit: limit,
+      offset: offset,
+      count: rows.length,
+      nextOffset: rows.length === limit ? offset + limit : null
+    }
+  };
+}
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json)
+  });
+  res.end(json);
+}
+
+module.exports = { ApiServer, HttpError, parsePagination, parseDays, parseDate, parseWindow, paginated, sendJson };
@@ -0,0 +1,158 @@
+// browser.js - Owns Chromium, its context and pages; relaunches after a crash
+//
+// Trackers hold on to a page and call refresh(page) before each navigation.
+// That hands back the same page, or a fresh one when the old page closed or
+// crashed, its context went away, the browser disconnected, or the page has
+// done `recycleAfter` navigations
+// (long-lived Chromium pages slowly grow in memory). Fresh pages go through
+// the same setup (drift log, fixtures, network capture) as the page they replace.
+const { chromium } = require('playwright');
+const { metrics } = require('./metrics');
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--disable-gpu'
+];
+
+class BrowserManager {
+  /**
+   * options.headless       - launch without a window
+   * options.contextOptions - Playwright context options (viewport, userAgent, ...)
+   * options.recycleAfter   - navigations before a page is replaced (0 = never)
+   * options.setupPage      - async (page) => void, run on every new page
+   */
+  constructor(options) {
+    this.options = options;
+    this.browser = null;
+    this.context = null;
+    this.launching = null;
+    this.launches = 0;
+    this.navigations = new WeakMap();
+    this.pageSetups = new WeakMap();
+    this.crashedPages = new WeakSet();
+  }
+
+  /**
+   * Browser is up and usable
+   */
+  isReady() {
+    return Boolean(this.browser && this.browser.isConnected() && this.context);
+  }
+
+  /**
+   * Launch if there's no connected browser, or just open a new context if
+   * only that was lost. Concurrent callers share one launch.
+   */
+  async ensureBrowser() {
+    if (this.isReady()) return;
+
+    if (!this.launching) {
+      const start = this.browser && this.browser.isConnected()
+        ? this.createContext()
+        : this.launch();
+      this.launching = start.finally(() => {
+        this.launching = null;
+      });
+    }
+    await this.launching;
+  }
+
+  async launch() {
+    const relaunch = this.launches > 0;
+    console.log(relaunch ? '🔄 Relaunching browser...' : '🌐 Launching browser...');
+
+    const browser = await chromium.launch({
+      headless: this.options.headless,
+      args: LAUNCH_ARGS
+    });
+
+    browser.on('disconnected', () => {
+      // Only forget it if it's still ours - close() also fires this
+      if (this.browser !== browser) return;
+      console.error('💥 Browser disconnected - it will be relaunched on the next page request');
+      this.browser = null;
+      this.context = null;
+    });
+
+    this.browser = browser;
+    await this.createContext();
+    this.launches++;
+    metrics.browserLaunches.inc({ reason: relaunch ? 'relaunch' : 'start' });
+  }
+
+  async createContext() {
+    const context = await this.browser.newContext(this.options.contextOptions);
+
+    context.on('close', () => {
+      if (this.context !== context) return;
+      console.error('💥 Browser context closed - a new one will be opened on the next page request');
+      this.context = null;
+    });
+
+    this.context = context;
+  }
+
+  /**
+   * New page in the current context. `setup` runs after the shared
+   * setupPage hook and again on every page that later replaces this one.
+   */
+  async newPage(setup = null) {
+    await this.ensureBrowser();
+
+    const page = await this.context.newPage();
+    this.navigations.set(page, 0);
+    page.on('crash', () => {
+      console.error('💥 Page crashed - it will be replaced before the next navigation');
+      this.crashedPages.add(page);
+    });
+    page.on('framenavigated', frame => {
+      if (frame === page.mainFrame()) {
+        this.navigations.set(page, (this.navigations.get(page) || 0) + 1);
+      }
+    });
+
+    if (this.options.setupPage) {
+      await this.options.setupPage(page);
+    }
+    if (setup) {
+      await setup(page);
+    }
+
+    this.pageSetups.set(page, setup);
+    return page;
+  }
+
+  /**
+   * The page to use for the next navigation: `page` itself, or its replacement
+   */
+  async refresh(page) {
+    const crashed = !this.isReady() || page.isClosed() || this.crashedPages.has(page) ||
+      page.context() !== this.context;
+    const worn = this.options.recycleAfter > 0 &&
+      (this.navigations.get(page) || 0) >= this.options.recycleAfter;
+
+    if (!crashed && !worn) return page;
+
+    if (!page.isClosed()) {
+      await page.close().catch(() => {});
+    }
+    metrics.pagesRecycled.inc({ reason: crashed ? 'crashed' : 'recycled' });
+
+    return this.newPage(this.pageSetups.get(page));
+  }
+
+  async close() {
+    const browser = this.browser;
+    this.browser = null;
+    this.context = null;
+
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = BrowserManager;
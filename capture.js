@@ -0,0 +1,269 @@
+// capture.js - Listen to the site's own XHR/websocket feed
+const { SKILL_LEVELS } = require('./parser');
+
+const MAX_DEPTH = 6;
+
+class NetworkCapture {
+  constructor() {
+    this.page = null;
+    this.rooms = new Map();
+    this.users = new Map();
+    // Whether a whole room list arrived since the last drain, as opposed to
+    // single-room updates only
+    this.sawRoomList = false;
+    this.frameCount = 0;
+    this.responseCount = 0;
+
+    this.onResponse = this.onResponse.bind(this);
+    this.onWebSocket = this.onWebSocket.bind(this);
+  }
+
+  /**
+   * Start listening to a Playwright page
+   */
+  attach(page) {
+    this.detach();
+    this.page = page;
+    page.on('response', this.onResponse);
+    page.on('websocket', this.onWebSocket);
+    console.log('📡 Network capture attached');
+  }
+
+  /**
+   * Stop listening (already-open websockets simply stop being read)
+   */
+  detach() {
+    if (!this.page) return;
+    this.page.off('response', this.onResponse);
+    this.page.off('websocket', this.onWebSocket);
+    this.page = null;
+  }
+
+  /**
+   * Return everything captured since the last drain and start over.
+   * `complete` is true when a full room list was among it - otherwise the
+   * rooms are only those that happened to be updated.
+   */
+  drain() {
+    const rooms = Array.from(this.rooms.values());
+    const users = Array.from(this.users.values());
+    const complete = this.sawRoomList;
+    this.rooms.clear();
+    this.users.clear();
+    this.sawRoomList = false;
+    return { rooms, users, complete };
+  }
+
+  async onResponse(response) {
+    try {
+      const type = response.request().resourceType();
+      if (type !== 'xhr' && type !== 'fetch') return;
+
+      const contentType = response.headers()['content-type'] || '';
+      if (!contentType.includes('json')) return;
+
+      const body = await response.json();
+      this.responseCount++;
+      this.ingest(body);
+    } catch (error) {
+      // Body already gone (redirect, navigation) - nothing to capture
+    }
+  }
+
+  onWebSocket(ws) {
+    console.log(`📡 Websocket opened: ${ws.url()}`);
+    ws.on('framereceived', frame => {
+      const payload = parseFrame(frame.payload);
+      if (payload === null) return;
+      this.frameCount++;
+      this.ingest(payload);
+    });
+  }
+
+  /**
+   * Walk an arbitrary payload and keep anything that looks like a room or user
+   */
+  ingest(payload) {
+    if (hasRoomList(payload, 0)) {
+      this.sawRoomList = true;
+    }
+
+    walk(payload, 0, value => {
+      if (looksLikeRoom(value)) {
+        const room = normaliseRoom(value);
+        if (room) {
+          this.rooms.set(room.roomId, room);
+          // Creator first: the client entry carries the fuller counts
+          if (room.creator) this.users.set(room.creator.username, room.creator);
+          room.participants.forEach(p => this.users.set(p.username, p.user));
+        }
+        return true;
+      }
+
+      if (looksLikeUser(value)) {
+        const user = normaliseUser(value);
+        if (user) this.users.set(user.username, user);
+        return true;
+      }
+
+      return false;
+    });
+  }
+}
+
+/**
+ * Helper: Decode a websocket frame (socket.io `42[...]` or plain JSON)
+ */
+function parseFrame(data) {
+  if (typeof data !== 'string') return null;
+
+  const json = data.replace(/^\d+/, '');
+  if (!json || (json[0] !== '[' && json[0] !== '{')) return null;
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Helper: Depth-limited walk; `visit` returns true to stop descending
+ */
+function walk(value, depth, visit) {
+  if (!value || typeof value !== 'object' || depth > MAX_DEPTH) return;
+  if (!Array.isArray(value) && visit(value)) return;
+
+  for (const child of Object.values(value)) {
+    walk(child, depth + 1, visit);
+  }
+}
+
+/**
+ * Helper: Does the payload hold an array made up entirely of rooms?
+ */
+function hasRoomList(value, depth) {
+  if (!value || typeof value !== 'object' || depth > MAX_DEPTH) return false;
+
+  if (Array.isArray(value) && value.length > 0 &&
+      value.every(item => item && typeof item === 'object' && looksLikeRoom(item))) {
+    return true;
+  }
+
+  return Object.values(value).some(child => hasRoomList(child, depth + 1));
+}
+
+function looksLikeRoom(value) {
+  return Array.isArray(value.clients) &&
+         (value.id !== undefined || value.roomId !== undefined) &&
+         (value.language !== undefined || value.topic !== undefined);
+}
+
+function looksLikeUser(value) {
+  return (value.id !== undefined || value.userId !== undefined) &&
+         typeof value.name === 'string' &&
+         (value.avatar !== undefined || value.followers !== undefined);
+}
+
+/**
+ * Normalise a raw room into the shape db.upsertRoom consumes. Settings the
+ * payload doesn't carry are null, so they don't overwrite stored ones.
+ */
+function normaliseRoom(raw) {
+  const roomId = raw.id || raw.roomId;
+  if (!roomId) return null;
+
+  const creator = raw.creator || raw.user || null;
+  const creatorUser = creator ? normaliseUser(creator) : null;
+  const settings = raw.settings || {};
+
+  const participants = (raw.clients || [])
+    .map(client => normaliseUser(client))
+    .filter(Boolean)
+    .map(user => ({
+      username: user.username,
+      displayName: user.displayName,
+      avatarUrl: user.avatarUrl,
+      role: creatorUser && creatorUser.username === user.username ? 'owner' : 'listener',
+      user: user
+    }));
+
+  const maxCapacity = toInt(raw.maxPeople ?? raw.maxCapacity ?? settings.maxPeople, null);
+  const noMic = toBool(raw.noMic ?? settings.noMic);
+  const isLocked = toBool(raw.isLocked ?? settings.isLocked);
+  // A locked room isn't necessarily a private one - only an explicit flag counts
+  const isPrivate = toBool(raw.isPrivate ?? settings.isPrivate);
+  const isPublic = toBool(raw.isPublic ?? settings.isPublic) ?? (isPrivate === null ? null : !isPrivate);
+  const level = raw.level || raw.skillLevel || null;
+
+  return {
+    roomId: String(roomId),
+    roomName: raw.topic || raw.name || null,
+    topic: raw.topic || null,
+    language: raw.language || null,
+    secondLanguage: raw.secondLanguage || null,
+    // rooms.skill_level only takes the site's four labels
+    level: level ? SKILL_LEVELS.find(l => l.toLowerCase() === String(level).toLowerCase()) || null : null,
+    channel: raw.channel || null,
+    platform: raw.platform || null,
+    maxCapacity: maxCapacity,
+    allowsUnlimited: toBool(raw.allowsUnlimited ?? (maxCapacity === null ? null : maxCapacity < 0)),
+    isLocked: isLocked,
+    noMic: noMic,
+    micAllowed: noMic === null ? null : !noMic,
+    micRequired: toBool(raw.micRequired ?? settings.micRequired),
+    isFull: maxCapacity > 0 ? participants.length >= maxCapacity : null,
+    isPublic: isPublic,
+    url: raw.url || null,
+    participantCount: participants.length,
+    createdBy: creatorUser ? creatorUser.username : null,
+    creatorName: creatorUser ? creatorUser.displayName : null,
+    creatorAvatarUrl: creatorUser ? creatorUser.avatarUrl : null,
+    creatorIsVerified: creatorUser && creatorUser.verificationStatus ? creatorUser.verificationStatus === 'VERIFIED' : null,
+    creator: creatorUser,
+    participants: participants
+  };
+}
+
+/**
+ * Normalise a raw user/client into the shape db.upsertUser consumes
+ */
+function normaliseUser(raw) {
+  const id = raw.id ?? raw.userId;
+  if (id === undefined || id === null || id === '') return null;
+
+  return {
+    username: String(id),
+    displayName: raw.name || String(id),
+    avatarUrl: raw.avatar || raw.avatarUrl || null,
+    // null = not in the payload, so the stored value is kept (see merge.js)
+    followerCount: toInt(raw.followers ?? raw.followersCount, null),
+    followingCount: toInt(raw.following ?? raw.followingCount, null),
+    friendsCount: toInt(raw.friends ?? raw.friendsCount, null),
+    supporterLevel: toInt(raw.supporter ?? raw.supporterLevel, null),
+    verificationStatus: raw.isVerified === undefined ? null : (raw.isVerified ? 'VERIFIED' : 'UNVERIFIED')
+  };
+}
+
+/**
+ * Helper: Coerce a flag, keeping "not in the payload" as null
+ */
+function toBool(value) {
+  return value === undefined || value === null ? null : Boolean(value);
+}
+
+/**
+ * Helper: Coerce counts that may arrive as strings or objects
+ */
+function toInt(value, fallback) {
+  if (Array.isArray(value)) return value.length;
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+module.exports = {
+  NetworkCapture,
+  normaliseRoom,
+  normaliseUser,
+  parseFrame
+};
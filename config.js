@@ -1,43 +1,314 @@
+// config.js - Validated settings: profile defaults, overridden by environment variables
+//
+// CONFIG_PROFILE (or NODE_ENV) picks the defaults: `production` or `development`.
+// Every value is checked when this module loads; a bad one stops startup with
+// a ConfigError listing each problem.
 require('dotenv').config();
+const path = require('path');
 
-// Parse DATABASE_URL properly with SSL support
-function parseDatabaseUrl(url) {
-  if (!url) {
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const SSL_MODES = ['disable', 'require', 'verify-full'];
+
+const PROFILES = {
+  development: {
+    headless: true,
+    intervalMs: 60000,
+    concurrency: 1,
+    ratePerMinute: 60,
+    dailyBudget: 2000,
+    userBatchSize: 20,
+    roomBatchSize: 5,
+    deepBudget: 5,
+    sslMode: 'disable',
+  },
+  production: {
+    headless: true,
+    intervalMs: 60000,
+    concurrency: 3,
+    ratePerMinute: 30,
+    dailyBudget: 20000,
+    userBatchSize: 200,
+    roomBatchSize: 20,
+    deepBudget: 50,
+    sslMode: 'require',
+  },
+};
+
+/**
+ * Typed readers over an env object; problems are collected, not thrown,
+ * so one startup error can report all of them
+ */
+function createReader(env) {
+  const problems = [];
+
+  function read(name, fallback, parse) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return fallback;
+
+    const { value, problem } = parse(raw.trim());
+    if (problem) {
+      problems.push(`${name}=${JSON.stringify(raw)} ${problem}`);
+      return fallback;
+    }
+    return value;
+  }
+
+  function ranged(value, { min = -Infinity, max = Infinity }) {
+    if (value < min) return { problem: `must be at least ${min}` };
+    if (value > max) return { problem: `must be at most ${max}` };
+    return { value };
+  }
+
+  return {
+    problems,
+
+    int(name, fallback, range = {}) {
+      return read(name, fallback, raw => (
+        /^-?\d+$/.test(raw) ? ranged(parseInt(raw, 10), range) : { problem: 'is not a whole number' }
+      ));
+    },
+
+    number(name, fallback, range = {}) {
+      return read(name, fallback, raw => (
+        raw !== '' && Number.isFinite(Number(raw)) ? ranged(Number(raw), range) : { problem: 'is not a number' }
+      ));
+    },
+
+    bool(name, fallback) {
+      return read(name, fallback, raw => {
+        if (/^(true|1|yes)$/i.test(raw)) return { value: true };
+        if (/^(false|0|no)$/i.test(raw)) return { value: false };
+        return { problem: 'must be true or false' };
+      });
+    },
+
+    oneOf(name, allowed, fallback) {
+      return read(name, fallback, raw => (
+        allowed.includes(raw) ? { value: raw } : { problem: `must be one of ${allowed.join(', ')}` }
+      ));
+    },
+
+    url(name, fallback, protocols) {
+      return read(name, fallback, raw => {
+        try {
+          const url = new URL(raw);
+          if (!protocols.includes(url.protocol)) {
+            return { problem: `must start with ${protocols.map(p => `${p}//`).join(' or ')}` };
+          }
+          return { value: raw };
+        } catch (error) {
+          return { problem: 'is not a valid URL' };
+        }
+      });
+    },
+
+    string(name, fallback) {
+      return read(name, fallback, raw => ({ value: raw }));
+    },
+  };
+}
+
+/**
+ * Connection settings from DATABASE_URL or the DB_* variables. SSL comes from
+ * DB_SSL_MODE, then the URL's ?sslmode=; a DATABASE_URL without one is a cloud
+ * database (require), otherwise the profile decides.
+ */
+function databaseConfig(env, read, profile) {
+  const databaseUrl = read.url('DATABASE_URL', null, ['postgres:', 'postgresql:']);
+  let connection;
+  let urlSslMode = databaseUrl ? 'require' : null;
+
+  if (databaseUrl) {
+    const url = new URL(databaseUrl);
+    urlSslMode = url.searchParams.get('sslmode') || urlSslMode;
+    connection = {
+      host: url.hostname,
+      port: parseInt(url.port || '5432', 10),
+      database: decodeURIComponent(url.pathname.slice(1)),
+      user: decodeURIComponent(url.username),
+      password: decodeURIComponent(url.password),
+    };
+  } else {
     // Fallback to individual env vars for local development
-    return {
-      host: process.env.DB_HOST || 'localhost',
-      port: parseInt(process.env.DB_PORT || '5432'),
-      database: process.env.DB_NAME || 'free4talk_tracker',
-      user: process.env.DB_USER || 'lohit',
-      password: process.env.DB_PASSWORD || '',
+    connection = {
+      host: read.string('DB_HOST', 'localhost'),
+      port: read.int('DB_PORT', 5432, { min: 1, max: 65535 }),
+      database: read.string('DB_NAME', 'free4talk_tracker'),
+      user: read.string('DB_USER', 'lohit'),
+      password: read.string('DB_PASSWORD', ''),
     };
   }
 
-  // Remove query parameters before parsing
-  const [baseUrl, queryString] = url.split('?');
-  
-  const match = baseUrl.match(/postgres:\/\/([^:]+):([^@]+)@([^:]+):(\d+)\/(.+)/);
-  if (match) {
-    return {
-      user: match[1],
-      password: match[2],
-      host: match[3],
-      port: parseInt(match[4]),
-      database: match[5],
-      // Always use SSL for cloud databases
-      ssl: {
-        rejectUnauthorized: false  // Aiven uses self-signed certs
-      }
-    };
+  // libpq's `prefer`/`allow` only make sense with a plain-text fallback, which pg doesn't do
+  const fromUrl = SSL_MODES.includes(urlSslMode) ? urlSslMode
+    : urlSslMode && urlSslMode !== 'prefer' && urlSslMode !== 'allow' ? 'require'
+      : null;
+  const sslMode = read.oneOf('DB_SSL_MODE', SSL_MODES, fromUrl || profile.sslMode);
+
+  return {
+    ...connection,
+    sslMode: sslMode,
+    ssl: sslMode === 'disable' ? false : { rejectUnauthorized: sslMode === 'verify-full' },
+    max: read.int('DB_POOL_SIZE', 10, { min: 1, max: 100 }),
+    connectionTimeoutMillis: read.int('DB_CONNECT_TIMEOUT_MS', 10000, { min: 0 }),
+  };
+}
+
+// Comma-separated WEBHOOK_URLS (generic JSON) / DISCORD_WEBHOOK_URLS, plus one Telegram bot/chat
+function parseWebhooks(env) {
+  const list = value => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+  const webhooks = [
+    ...list(env.WEBHOOK_URLS).map(url => ({ type: 'generic', url })),
+    ...list(env.DISCORD_WEBHOOK_URLS).map(url => ({ type: 'discord', url })),
+  ];
+
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    webhooks.push({ type: 'telegram', token: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID });
   }
 
-  throw new Error('Invalid DATABASE_URL format');
+  return webhooks;
 }
 
-module.exports = {
-  db: parseDatabaseUrl(process.env.DATABASE_URL),
-  scraper: {
-    url: 'https://free4talk.com/',
-    interval: 5000, // 60 seconds (optimized for Railway)
-  },
-};
+/**
+ * Build and validate the settings for an environment; throws ConfigError
+ */
+function loadConfig(env = process.env) {
+  const profileName = env.CONFIG_PROFILE || (env.NODE_ENV === 'production' ? 'production' : 'development');
+  const profile = PROFILES[profileName];
+  if (!profile) {
+    throw new ConfigError([`CONFIG_PROFILE=${JSON.stringify(profileName)} must be one of ${Object.keys(PROFILES).join(', ')}`]);
+  }
+
+  const read = createReader(env);
+
+  const config = {
+    profile: profileName,
+    db: databaseConfig(env, read, profile),
+    writeBuffer: {
+      // Queued user/room/participant/relationship rows are flushed once there
+      // are maxRows of them, or flushIntervalMs after the first (0 = size only)
+      maxRows: read.int('WRITE_BUFFER_MAX_ROWS', 1000, { min: 1 }),
+      flushIntervalMs: read.int('WRITE_BUFFER_FLUSH_MS', 2000, { min: 0 }),
+    },
+    merge: {
+      // A user field set by a more trusted page (e.g. their profile) can be
+      // overwritten by a less trusted one (e.g. a follower list) after this long
+      staleDays: read.int('MERGE_STALE_DAYS', 30, { min: 1 }),
+    },
+    scraper: {
+      // Base URL without the trailing slash, e.g. `${baseUrl}/profile/<id>`
+      baseUrl: read.url('BASE_URL', 'https://free4talk.com', ['http:', 'https:']).replace(/\/+$/, ''),
+      headless: read.bool('HEADLESS', profile.headless),
+      userAgent: read.string('USER_AGENT', 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'),
+      // Let the browser accept invalid certificates (e.g. behind an intercepting
+      // proxy); only the scraped pages are affected, not database or webhook TLS
+      ignoreHttpsErrors: read.bool('IGNORE_HTTPS_ERRORS', false),
+      // Replace a page after this many navigations to keep Chromium's memory in check (0 = never)
+      pageRecycleNavigations: read.int('PAGE_RECYCLE_NAVIGATIONS', 50, { min: 0 }),
+      // Pause between tracking iterations
+      intervalMs: read.int('SCRAPE_INTERVAL_MS', profile.intervalMs, { min: 1000 }),
+      navigationTimeoutMs: read.int('NAVIGATION_TIMEOUT_MS', 30000, { min: 1000 }),
+      // Playwright's page.goto() waitUntil
+      waitUntil: read.oneOf('WAIT_UNTIL', ['load', 'domcontentloaded', 'networkidle', 'commit'], 'networkidle'),
+      selectorTimeoutMs: read.int('SELECTOR_TIMEOUT_MS', 5000, { min: 100 }),
+      // Pause after each navigation for client-side rendering
+      settleMs: read.int('SETTLE_MS', 1000, { min: 0 }),
+      // Read rooms/users from the site's XHR + websocket traffic instead of the rendered HTML
+      networkCapture: read.bool('NETWORK_CAPTURE', true),
+      // Pages tracking profiles in parallel
+      concurrency: read.int('SCRAPER_CONCURRENCY', profile.concurrency, { min: 1, max: 20 }),
+      // Infinite-scroll relationship lists: give up after maxRounds scrolls,
+      // or once stallRounds scrolls in a row add nobody new
+      relationshipLists: {
+        maxRounds: read.int('LIST_MAX_SCROLLS', 200, { min: 1 }),
+        stallRounds: read.int('LIST_STALL_ROUNDS', 3, { min: 1 }),
+        waitMs: read.int('LIST_SCROLL_WAIT_MS', 1500, { min: 0 }),
+      },
+    },
+    governor: {
+      // Token bucket shared by every page: `burst` back to back, then ratePerMinute
+      ratePerMinute: read.number('REQUESTS_PER_MINUTE', profile.ratePerMinute, { min: 0.1 }),
+      burst: read.int('REQUEST_BURST', 3, { min: 1 }),
+      // After a 429/5xx/challenge: pause base, 2x base, 4x base... (with jitter) up to max
+      backoffBaseMs: read.int('BACKOFF_BASE_MS', 30000, { min: 0 }),
+      backoffMaxMs: read.int('BACKOFF_MAX_MS', 30 * 60 * 1000, { min: 0 }),
+      // Navigations per UTC day (0 = unlimited)
+      dailyBudget: read.int('DAILY_REQUEST_BUDGET', profile.dailyBudget, { min: 0 }),
+    },
+    fixtures: {
+      // off | record | replay (see fixtures.js)
+      mode: read.oneOf('FIXTURE_MODE', ['off', 'record', 'replay'], 'off'),
+      dir: read.string('FIXTURES_DIR', path.join(__dirname, 'fixtures')),
+    },
+    drift: {
+      artifactsDir: read.string('ARTIFACTS_DIR', path.join(__dirname, 'artifacts')),
+      // Alert once failureThreshold of the last windowSize parses of a page type
+      // failed (and at least minSamples were seen)
+      windowSize: read.int('DRIFT_WINDOW', 50, { min: 1 }),
+      minSamples: read.int('DRIFT_MIN_SAMPLES', 10, { min: 1 }),
+      failureThreshold: read.number('DRIFT_FAILURE_THRESHOLD', 0.5, { min: 0, max: 1 }),
+      captureCooldownMinutes: read.int('DRIFT_CAPTURE_COOLDOWN_MINUTES', 10, { min: 0 }),
+    },
+    notifications: {
+      watchlistFile: read.string('WATCHLIST_FILE', path.join(__dirname, 'watchlist.json')),
+      webhooks: parseWebhooks(env),
+      // The same event (e.g. a user joining the same room) is sent at most once per window
+      dedupeMinutes: read.int('NOTIFY_DEDUPE_MINUTES', 30, { min: 0 }),
+      retries: read.int('NOTIFY_RETRIES', 3, { min: 0, max: 10 }),
+    },
+    api: {
+      port: read.int('PORT', 3000, { min: 0, max: 65535 }),
+    },
+    frontier: {
+      // Entities fetched per iteration, and how long before each type is due again
+      userBatchSize: read.int('FRONTIER_USER_BATCH', profile.userBatchSize, { min: 0 }),
+      roomBatchSize: read.int('FRONTIER_ROOM_BATCH', profile.roomBatchSize, { min: 0 }),
+      revisitMinutes: {
+        user: read.int('FRONTIER_USER_REVISIT_MINUTES', 360, { min: 1 }),
+        room: read.int('FRONTIER_ROOM_REVISIT_MINUTES', 1440, { min: 1 }),
+      },
+      // Relationship lists are expensive - re-scrape them less often than profiles,
+      // and at most deepBudget of them per iteration
+      deepRevisitMinutes: read.int('FRONTIER_DEEP_REVISIT_MINUTES', 1440, { min: 1 }),
+      deepBudget: read.int('FRONTIER_DEEP_BUDGET', profile.deepBudget, { min: 0 }),
+    },
+    growth: {
+      // A follower spike is at least minGain new followers, arriving rateMultiplier
+      // times faster than the user's average over the previous baselineDays
+      minGain: read.int('SPIKE_MIN_GAIN', 50, { min: 1 }),
+      rateMultiplier: read.number('SPIKE_RATE_MULTIPLIER', 5, { min: 1 }),
+      baselineDays: read.int('SPIKE_BASELINE_DAYS', 30, { min: 1 }),
+    },
+    copresence: {
+      // Pairs with less time together than this are left out of communities and exports;
+      // an active follow/friend edge between two users counts as followMinutes together
+      minMinutes: read.number('COPRESENCE_MIN_MINUTES', 5, { min: 0 }),
+      followMinutes: read.number('COPRESENCE_FOLLOW_MINUTES', 10, { min: 0 }),
+    },
+    analytics: {
+      // How often the tracking loop re-runs the daily room_analytics rollup
+      intervalMinutes: read.int('ANALYTICS_INTERVAL_MINUTES', 60, { min: 1 }),
+    },
+  };
+
+  if (config.drift.minSamples > config.drift.windowSize) {
+    read.problems.push(`DRIFT_MIN_SAMPLES (${config.drift.minSamples}) can't exceed DRIFT_WINDOW (${config.drift.windowSize})`);
+  }
+
+  if (read.problems.length > 0) {
+    throw new ConfigError(read.problems);
+  }
+
+  return config;
+}
+
+module.exports = loadConfig();
+module.exports.loadConfig = loadConfig;
+module.exports.ConfigError = ConfigError;
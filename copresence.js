@@ -0,0 +1,465 @@
+// copresence.js - Who talks with whom: a weighted user-user graph from sessions
+//
+//   node copresence.js build                   add sessions closed since the last build
+//   node copresence.js rebuild                 start over from every session
+//   node copresence.js communities             print the detected communities
+//   node copresence.js export <graphml|gexf> [file]
+//
+// Two closed sessions in the same room that overlap are one encounter; the
+// overlap is time together. A pair is counted when the later of its two
+// sessions closes, so incremental builds never count it twice (sessions
+// inserted with an older left_at, e.g. backfills, need a rebuild). Communities
+// come from weighted label propagation, optionally strengthened by the
+// follow/friend edges already stored in user_relationships.
+const fs = require('fs');
+const config = require('./config');
+
+// Sessions closed in the last few minutes may still be committing - leave them for the next build
+const SETTLE_MINUTES = 5;
+
+class CoPresenceGraph {
+  /**
+   * options.minMinutes    - ignore pairs with less time together (communities/export)
+   * options.followMinutes - time together each active follow/friend edge counts as
+   */
+  constructor(db, options = config.copresence) {
+    this.db = db;
+    this.minMinutes = options.minMinutes;
+    this.followMinutes = options.followMinutes;
+  }
+
+  /**
+   * Fold sessions closed since the last build into the edges.
+   * Returns { pairs, encounters, builtThrough }, or null on error.
+   */
+  async build() {
+    const query = `
+      WITH bounds AS (
+        SELECT built_through AS since, NOW() - $1 * INTERVAL '1 minute' AS through
+        FROM copresence_state
+        WHERE id
+        FOR UPDATE
+      ),
+      closed AS (
+        SELECT s.session_id, s.user_id, s.room_id, s.joined_at, s.left_at
+        FROM sessions s, bounds b
+        WHERE s.left_at > b.since AND s.left_at <= b.through
+      ),
+      pairs AS (
+        SELECT
+          LEAST(c.user_id, o.user_id) AS user_a,
+          GREATEST(c.user_id, o.user_id) AS user_b,
+          EXTRACT(EPOCH FROM LEAST(c.left_at, o.left_at) - GREATEST(c.joined_at, o.joined_at)) AS seconds,
+          GREATEST(c.joined_at, o.joined_at) AS together_from,
+          LEAST(c.left_at, o.left_at) AS together_until
+        FROM closed c
+        JOIN sessions o ON o.room_id = c.room_id
+          AND o.user_id <> c.user_id
+          AND o.left_at IS NOT NULL
+          AND o.joined_at < c.left_at AND c.joined_at < o.left_at
+          -- Count each overlap once, from the session that closed last
+          AND (o.left_at < c.left_at OR (o.left_at = c.left_at AND o.session_id < c.session_id))
+      ),
+      edges AS (
+        INSERT INTO copresence_edges (
+          user_a, user_b, seconds_together, encounters, first_seen_together, last_seen_together
+        )
+        SELECT user_a, user_b, ROUND(SUM(seconds)), COUNT(*), MIN(together_from), MAX(together_until)
+        FROM pairs
+        GROUP BY user_a, user_b
+        ON CONFLICT (user_a, user_b) DO UPDATE SET
+          seconds_together = copresence_edges.seconds_together + EXCLUDED.seconds_together,
+          encounters = copresence_edges.encounters + EXCLUDED.encounters,
+          first_seen_together = LEAST(copresence_edges.first_seen_together, EXCLUDED.first_seen_together),
+          last_seen_together = GREATEST(copresence_edges.last_seen_together, EXCLUDED.last_seen_together),
+          updated_at = NOW()
+        RETURNING 1
+      ),
+      advanced AS (
+        UPDATE copresence_state SET built_through = (SELECT through FROM bounds)
+        WHERE id
+        RETURNING built_through
+      )
+      SELECT
+        (SELECT COUNT(*) FROM edges)::INTEGER AS pairs,
+        (SELECT COUNT(*) FROM pairs)::INTEGER AS encounters,
+        (SELECT built_through FROM advanced) AS built_through
+    `;
+
+    try {
+      const result = await this.db.query(query, [SETTLE_MINUTES]);
+      const row = result.rows[0];
+      if (row.encounters > 0) {
+        console.log(`🤝 Co-presence: ${row.encounters} encounters across ${row.pairs} pairs`);
+      }
+      return { pairs: row.pairs, encounters: row.encounters, builtThrough: row.built_through };
+    } catch (error) {
+      console.error('Error building co-presence graph:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Drop every edge and build again from all closed sessions
+   */
+  async rebuild() {
+    await this.db.query('TRUNCATE copresence_edges');
+    await this.db.query(`UPDATE copresence_state SET built_through = 'epoch' WHERE id`);
+    return this.build();
+  }
+
+  /**
+   * Users who spent the most time in rooms with `username`, plus how they
+   * are connected on the follow graph
+   */
+  async topCompanions(username, { limit = 20, offset = 0 } = {}) {
+    const query = `
+      WITH mine AS (
+        SELECT CASE WHEN e.user_a = $1 THEN e.user_b ELSE e.user_a END AS other, e.*
+        FROM copresence_edges e
+        WHERE e.user_a = $1 OR e.user_b = $1
+      )
+      SELECT
+        m.other AS username,
+        u.username AS display_name,
+        u.user_avatar AS avatar_url,
+        ROUND(m.seconds_together / 60.0, 1)::FLOAT AS minutes_together,
+        m.encounters,
+        m.first_seen_together,
+        m.last_seen_together,
+        EXISTS (
+          SELECT 1 FROM user_relationships r
+          WHERE r.ended_at IS NULL AND (
+            (r.user_id = $1 AND r.related_user_id = m.other AND r.relationship_type = 'following') OR
+            (r.user_id = m.other AND r.related_user_id = $1 AND r.relationship_type = 'follower'))
+        ) AS follows,
+        EXISTS (
+          SELECT 1 FROM user_relationships r
+          WHERE r.ended_at IS NULL AND (
+            (r.user_id = m.other AND r.related_user_id = $1 AND r.relationship_type = 'following') OR
+            (r.user_id = $1 AND r.related_user_id = m.other AND r.relationship_type = 'follower'))
+        ) AS followed_by,
+        EXISTS (
+          SELECT 1 FROM user_relationships r
+          WHERE r.ended_at IS NULL AND r.relationship_type = 'friend' AND (
+            (r.user_id = $1 AND r.related_user_id = m.other) OR
+            (r.user_id = m.other AND r.related_user_id = $1))
+        ) AS friends
+      FROM mine m
+      JOIN users u ON u.user_id = m.other
+      ORDER BY m.seconds_together DESC, m.encounters DESC, m.other
+      LIMIT $2 OFFSET $3
+    `;
+
+    try {
+      const result = await this.db.query(query, [username, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      console.error(`Error getting companions for ${username}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Nodes, co-presence edges (at least minMinutes) and the active follow
+   * edges between those nodes
+   */
+  async loadGraph({ minMinutes = this.minMinutes } = {}) {
+    const edgesResult = await this.db.query(`
+      SELECT user_a, user_b, seconds_together, encounters, last_seen_together
+      FROM copresence_edges
+      WHERE seconds_together >= $1 * 60
+      ORDER BY user_a, user_b
+    `, [minMinutes]);
+
+    const ids = new Set();
+    const edges = edgesResult.rows.map(row => {
+      ids.add(row.user_a);
+      ids.add(row.user_b);
+      return {
+        source: row.user_a,
+        target: row.user_b,
+        minutes: Math.round(Number(row.seconds_together) / 6) / 10,
+        encounters: row.encounters,
+        lastSeenTogether: row.last_seen_together
+      };
+    });
+
+    const userIds = Array.from(ids);
+    const usersResult = await this.db.query(`
+      SELECT user_id, username, followers_count
+      FROM users
+      WHERE user_id = ANY($1::text[])
+      ORDER BY user_id
+    `, [userIds]);
+
+    // "A follows B" is stored as either (A, B, following) or (B, A, follower);
+    // friendships are undirected, so put them in pair order
+    const followsResult = await this.db.query(`
+      SELECT DISTINCT
+        CASE relationship_type
+          WHEN 'follower' THEN related_user_id
+          WHEN 'friend' THEN LEAST(user_id, related_user_id)
+          ELSE user_id
+        END AS source,
+        CASE relationship_type
+          WHEN 'follower' THEN user_id
+          WHEN 'friend' THEN GREATEST(user_id, related_user_id)
+          ELSE related_user_id
+        END AS target,
+        CASE WHEN relationship_type = 'friend' THEN 'friend' ELSE 'follows' END AS kind
+      FROM user_relationships
+      WHERE ended_at IS NULL
+        AND user_id = ANY($1::text[]) AND related_user_id = ANY($1::text[])
+      ORDER BY source, target
+    `, [userIds]);
+
+    return {
+      nodes: usersResult.rows.map(row => ({
+        id: row.user_id,
+        label: row.username || row.user_id,
+        followers: row.followers_count || 0
+      })),
+      edges: edges,
+      follows: followsResult.rows
+    };
+  }
+
+  /**
+   * Clusters of users who keep ending up in rooms together.
+   * Returns [{ id, size, members: [{ username, display_name }] }], largest first.
+   */
+  async communities(options = {}) {
+    const graph = await this.loadGraph(options);
+    return groupCommunities(graph, detectCommunities(graph, this.followMinutes));
+  }
+
+  /**
+   * Graph as a GraphML or GEXF document, nodes tagged with their community
+   */
+  async export(format, options = {}) {
+    const graph = await this.loadGraph(options);
+    const communityOf = new Map();
+    for (const community of groupCommunities(graph, detectCommunities(graph, this.followMinutes))) {
+      community.members.forEach(member => communityOf.set(member.username, community.id));
+    }
+
+    if (format === 'graphml') return toGraphML(graph, communityOf);
+    if (format === 'gexf') return toGEXF(graph, communityOf);
+    throw new Error(`Unknown graph format "${format}" (expected graphml or gexf)`);
+  }
+}
+
+/**
+ * Helper: Weighted label propagation. Every node starts in its own community
+ * and repeatedly joins the one its neighbours are most strongly tied to
+ * (ties go to the smallest label, so results are repeatable).
+ */
+function detectCommunities(graph, followMinutes = 0, maxIterations = 50) {
+  const neighbours = new Map(graph.nodes.map(node => [node.id, new Map()]));
+  const link = (a, b, weight) => {
+    if (!neighbours.has(a) || !neighbours.has(b) || weight <= 0) return;
+    neighbours.get(a).set(b, (neighbours.get(a).get(b) || 0) + weight);
+    neighbours.get(b).set(a, (neighbours.get(b).get(a) || 0) + weight);
+  };
+
+  graph.edges.forEach(edge => link(edge.source, edge.target, edge.minutes));
+  graph.follows.forEach(edge => link(edge.source, edge.target, followMinutes));
+
+  const labels = new Map(graph.nodes.map(node => [node.id, node.id]));
+  const order = graph.nodes.map(node => node.id).sort();
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+
+    for (const id of order) {
+      const weights = new Map();
+      for (const [other, weight] of neighbours.get(id)) {
+        const label = labels.get(other);
+        weights.set(label, (weights.get(label) || 0) + weight);
+      }
+      if (weights.size === 0) continue;
+
+      let best = labels.get(id);
+      let bestWeight = weights.get(best) || 0;
+      for (const [label, weight] of weights) {
+        if (weight > bestWeight || (weight === bestWeight && label < best)) {
+          best = label;
+          bestWeight = weight;
+        }
+      }
+
+      if (best !== labels.get(id)) {
+        labels.set(id, best);
+        changed = true;
+      }
+    }
+
+    if (!changed) break;
+  }
+
+  return labels;
+}
+
+function groupCommunities(graph, communityOf) {
+  const groups = new Map();
+  for (const node of graph.nodes) {
+    const label = communityOf.get(node.id);
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push({ username: node.id, display_name: node.label });
+  }
+
+  return Array.from(groups.values())
+    .filter(members => members.length > 1)
+    .sort((a, b) => b.length - a.length || a[0].username.localeCompare(b[0].username))
+    .map((members, index) => ({ id: index + 1, size: members.length, members }));
+}
+
+function toGraphML(graph, communityOf) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="followers" for="node" attr.name="followers" attr.type="int"/>',
+    '  <key id="community" for="node" attr.name="community" attr.type="string"/>',
+    '  <key id="kind" for="edge" attr.name="kind" attr.type="string"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    '  <key id="encounters" for="edge" attr.name="encounters" attr.type="int"/>',
+    '  <key id="last_seen" for="edge" attr.name="last_seen_together" attr.type="string"/>',
+    '  <graph id="copresence" edgedefault="undirected">'
+  ];
+
+  for (const node of graph.nodes) {
+    lines.push(`    <node id="${xml(node.id)}">`);
+    lines.push(`      <data key="label">${xml(node.label)}</data>`);
+    lines.push(`      <data key="followers">${node.followers}</data>`);
+    lines.push(`      <data key="community">${xml(communityOf.get(node.id))}</data>`);
+    lines.push('    </node>');
+  }
+
+  for (const edge of graph.edges) {
+    lines.push(`    <edge source="${xml(edge.source)}" target="${xml(edge.target)}">`);
+    lines.push('      <data key="kind">copresence</data>');
+    lines.push(`      <data key="weight">${edge.minutes}</data>`);
+    lines.push(`      <data key="encounters">${edge.encounters}</data>`);
+    lines.push(`      <data key="last_seen">${xml(isoDate(edge.lastSeenTogether))}</data>`);
+    lines.push('    </edge>');
+  }
+
+  for (const edge of graph.follows) {
+    const directed = edge.kind === 'follows' ? ' directed="true"' : '';
+    lines.push(`    <edge source="${xml(edge.source)}" target="${xml(edge.target)}"${directed}>`);
+    lines.push(`      <data key="kind">${edge.kind}</data>`);
+    lines.push('    </edge>');
+  }
+
+  lines.push('  </graph>', '</graphml>', '');
+  return lines.join('\n');
+}
+
+function toGEXF(graph, communityOf) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://www.gexf.net/1.2draft" version="1.2">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    '    <creator>free4talk-tracker</creator>',
+    '  </meta>',
+    '  <graph defaultedgetype="undirected" mode="static">',
+    '    <attributes class="node">',
+    '      <attribute id="followers" title="followers" type="integer"/>',
+    '      <attribute id="community" title="community" type="string"/>',
+    '    </attributes>',
+    '    <attributes class="edge">',
+    '      <attribute id="kind" title="kind" type="string"/>',
+    '      <attribute id="encounters" title="encounters" type="integer"/>',
+    '      <attribute id="last_seen" title="last_seen_together" type="string"/>',
+    '    </attributes>',
+    '    <nodes>'
+  ];
+
+  for (const node of graph.nodes) {
+    lines.push(`      <node id="${xml(node.id)}" label="${xml(node.label)}">`);
+    lines.push('        <attvalues>');
+    lines.push(`          <attvalue for="followers" value="${node.followers}"/>`);
+    lines.push(`          <attvalue for="community" value="${xml(communityOf.get(node.id))}"/>`);
+    lines.push('        </attvalues>');
+    lines.push('      </node>');
+  }
+
+  lines.push('    </nodes>', '    <edges>');
+
+  let id = 0;
+  for (const edge of graph.edges) {
+    lines.push(`      <edge id="${id++}" source="${xml(edge.source)}" target="${xml(edge.target)}" weight="${edge.minutes}">`);
+    lines.push('        <attvalues>');
+    lines.push('          <attvalue for="kind" value="copresence"/>');
+    lines.push(`          <attvalue for="encounters" value="${edge.encounters}"/>`);
+    lines.push(`          <attvalue for="last_seen" value="${xml(isoDate(edge.lastSeenTogether))}"/>`);
+    lines.push('        </attvalues>');
+    lines.push('      </edge>');
+  }
+
+  for (const edge of graph.follows) {
+    const type = edge.kind === 'follows' ? 'directed' : 'undirected';
+    lines.push(`      <edge id="${id++}" source="${xml(edge.source)}" target="${xml(edge.target)}" type="${type}">`);
+    lines.push(`        <attvalues><attvalue for="kind" value="${edge.kind}"/></attvalues>`);
+    lines.push('      </edge>');
+  }
+
+  lines.push('    </edges>', '  </graph>', '</gexf>', '');
+  return lines.join('\n');
+}
+
+function xml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : '';
+}
+
+/**
+ * CLI entry point
+ */
+async function main(argv) {
+  const Database = require('./db');
+  const [command = 'build', format, file] = argv;
+  const db = new Database();
+  const graph = new CoPresenceGraph(db);
+
+  try {
+    await db.connect();
+
+    if (command === 'build' || command === 'rebuild') {
+      const result = command === 'build' ? await graph.build() : await graph.rebuild();
+      if (!result) throw new Error('build failed');
+      console.log(`✅ Co-presence built through ${result.builtThrough.toISOString()}: ${result.encounters} encounters, ${result.pairs} pairs updated`);
+    } else if (command === 'communities') {
+      for (const community of await graph.communities()) {
+        console.log(`👥 #${community.id} (${community.size}): ${community.members.map(m => m.display_name).join(', ')}`);
+      }
+    } else if (command === 'export') {
+      const document = await graph.export(format);
+      const out = file || `copresence.${format}`;
+      fs.writeFileSync(out, document);
+      console.log(`✅ Wrote ${out}`);
+    } else {
+      throw new Error(`Unknown copresence command "${command}" (expected build, rebuild, communities or export)`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+module.exports = { CoPresenceGraph, detectCommunities, toGraphML, toGEXF, main };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('💥 Co-presence failed:', error.message);
+    process.exit(1);
+  });
+}
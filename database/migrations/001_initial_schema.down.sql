@@ -0,0 +1,36 @@
+-- ============================================
+-- 001 INITIAL SCHEMA (rollback)
+-- schema_metadata is owned by migrate.js and is left in place
+-- ============================================
+
+DROP FUNCTION IF EXISTS check_schema_health();
+DROP FUNCTION IF EXISTS clean_old_data(INTEGER);
+DROP FUNCTION IF EXISTS refresh_all_materialized_views();
+
+DROP MATERIALIZED VIEW IF EXISTS mv_user_activity_summary;
+DROP MATERIALIZED VIEW IF EXISTS mv_daily_room_stats;
+
+DROP TABLE IF EXISTS room_analytics;
+DROP TABLE IF EXISTS user_activity_log;
+DROP TABLE IF EXISTS room_snapshots;
+DROP TABLE IF EXISTS profile_views;
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS rooms;
+DROP TABLE IF EXISTS users;
+
+DROP FUNCTION IF EXISTS increment_profile_views();
+DROP FUNCTION IF EXISTS update_room_user_count();
+DROP FUNCTION IF EXISTS update_user_session_stats();
+DROP FUNCTION IF EXISTS calculate_session_duration();
+DROP FUNCTION IF EXISTS update_room_last_activity();
+DROP FUNCTION IF EXISTS update_user_last_seen();
+
+DROP FUNCTION IF EXISTS get_trending_rooms(INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS get_user_statistics(VARCHAR);
+DROP FUNCTION IF EXISTS get_room_statistics(VARCHAR);
+DROP FUNCTION IF EXISTS search_users(VARCHAR, INTEGER);
+DROP FUNCTION IF EXISTS get_room_active_users(VARCHAR);
+DROP FUNCTION IF EXISTS get_most_stalked_users(INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS get_room_timeline(VARCHAR, VARCHAR[]);
+DROP FUNCTION IF EXISTS get_shared_rooms(VARCHAR, VARCHAR);
+DROP FUNCTION IF EXISTS get_user_room_history(VARCHAR);
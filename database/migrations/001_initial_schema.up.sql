@@ -798,16 +798,8 @@ CREATE TABLE IF NOT EXISTS schema_metadata (
     description TEXT
 );
 
-INSERT INTO schema_metadata (schema_version, description)
-VALUES ('1.0.0', 'Initial Free4Talk Tracker Schema - World-Class PostgreSQL Database')
-ON CONFLICT DO NOTHING;
+-- Versions are recorded by migrate.js once each migration commits
 
 -- ============================================
 -- END OF SCHEMA
 -- ============================================
-
--- Success message
-SELECT 
-    '🎉 FREE4TALK TRACKER SCHEMA CREATED SUCCESSFULLY!' as message,
-    (SELECT COUNT(*) FROM information_schema.tables WHERE table_schema = 'public') as total_tables,
-    (SELECT COUNT(*) FROM information_schema.routines WHERE routine_schema = 'public') as total_functions;
@@ -0,0 +1,16 @@
+-- ============================================
+-- 002 APP TABLES (rollback)
+-- ============================================
+
+DROP TABLE IF EXISTS room_participants;
+DROP TABLE IF EXISTS user_relationships;
+
+ALTER TABLE rooms
+    DROP COLUMN IF EXISTS is_public,
+    DROP COLUMN IF EXISTS room_name;
+
+ALTER TABLE users
+    DROP COLUMN IF EXISTS interests,
+    DROP COLUMN IF EXISTS languages,
+    DROP COLUMN IF EXISTS gender,
+    DROP COLUMN IF EXISTS bio;
@@ -0,0 +1,55 @@
+-- ============================================
+-- 002 APP TABLES
+-- Columns and tables the tracker writes that the initial schema lacked.
+-- The app's `username` is the Free4Talk profile id and lives in
+-- users.user_id; users.username holds the display name.
+-- ============================================
+
+-- Profile fields scraped from /profile/:id
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS bio TEXT,
+    ADD COLUMN IF NOT EXISTS gender VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS languages TEXT[] DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS interests TEXT[] DEFAULT '{}';
+
+-- Room fields shown on cards
+ALTER TABLE rooms
+    ADD COLUMN IF NOT EXISTS room_name VARCHAR(200),
+    ADD COLUMN IF NOT EXISTS is_public BOOLEAN DEFAULT TRUE;
+
+-- User Relationships: follower / following / friend edges
+CREATE TABLE IF NOT EXISTS user_relationships (
+    relationship_id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(50) NOT NULL,
+    related_user_id VARCHAR(50) NOT NULL,
+    relationship_type VARCHAR(20) NOT NULL CHECK (
+        relationship_type IN ('follower', 'following', 'friend')
+    ),
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (related_user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    UNIQUE(user_id, related_user_id, relationship_type)
+);
+
+-- Room Participants: who was listed in a room and with what role
+CREATE TABLE IF NOT EXISTS room_participants (
+    participant_id BIGSERIAL PRIMARY KEY,
+    room_id VARCHAR(100) NOT NULL,
+    user_id VARCHAR(50) NOT NULL,
+    role VARCHAR(20) DEFAULT 'listener',
+    joined_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    left_at TIMESTAMP,
+
+    FOREIGN KEY (room_id) REFERENCES rooms(room_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    UNIQUE(room_id, user_id, joined_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_relationships_user ON user_relationships(user_id, relationship_type);
+CREATE INDEX IF NOT EXISTS idx_relationships_related ON user_relationships(related_user_id);
+CREATE INDEX IF NOT EXISTS idx_participants_room ON room_participants(room_id) WHERE left_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_participants_user ON room_participants(user_id);
+
+COMMENT ON TABLE user_relationships IS 'Follower, following and friend edges scraped from profile lists';
+COMMENT ON TABLE room_participants IS 'Room membership as listed on room pages and cards';
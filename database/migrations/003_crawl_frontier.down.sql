@@ -0,0 +1,5 @@
+-- ============================================
+-- 003 CRAWL FRONTIER (rollback)
+-- ============================================
+
+DROP TABLE IF EXISTS crawl_frontier;
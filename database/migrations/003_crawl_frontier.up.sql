@@ -0,0 +1,31 @@
+-- ============================================
+-- 003 CRAWL FRONTIER
+-- Persistent schedule of which users/rooms to fetch next.
+-- Priority is computed at read time (see frontier.js); this table
+-- only records what the crawler knows about each entity.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS crawl_frontier (
+    entity_type VARCHAR(10) NOT NULL CHECK (entity_type IN ('user', 'room')),
+    entity_id VARCHAR(100) NOT NULL,
+
+    -- Online = seen in the latest discovery pass
+    is_online BOOLEAN DEFAULT FALSE,
+    last_seen_online TIMESTAMP,
+
+    discovered_at TIMESTAMP DEFAULT NOW(),
+    last_fetched_at TIMESTAMP,
+    last_deep_fetched_at TIMESTAMP,
+    next_fetch_at TIMESTAMP DEFAULT NOW(),
+
+    fetch_count INTEGER DEFAULT 0,
+    failure_count INTEGER DEFAULT 0,
+    last_error TEXT,
+
+    PRIMARY KEY (entity_type, entity_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_frontier_due ON crawl_frontier(entity_type, next_fetch_at);
+CREATE INDEX IF NOT EXISTS idx_frontier_online ON crawl_frontier(entity_type) WHERE is_online;
+
+COMMENT ON TABLE crawl_frontier IS 'Crawl schedule: per-entity fetch history and next due time';
@@ -0,0 +1,6 @@
+-- ============================================
+-- 004 USER METRICS HISTORY (rollback)
+-- ============================================
+
+DROP INDEX IF EXISTS idx_activity_type_time;
+DROP TABLE IF EXISTS user_metrics_history;
@@ -0,0 +1,26 @@
+-- ============================================
+-- 004 USER METRICS HISTORY
+-- users.followers_count & co. only hold the latest value; every
+-- profile scrape also appends a row here so growth can be charted.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS user_metrics_history (
+    history_id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(50) NOT NULL,
+    recorded_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    followers_count INTEGER DEFAULT 0,
+    following_count INTEGER DEFAULT 0,
+    friends_count INTEGER DEFAULT 0,
+    supporter_level INTEGER DEFAULT 0,
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_metrics_history_user ON user_metrics_history(user_id, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_metrics_history_time ON user_metrics_history(recorded_at DESC);
+
+-- Spike lookups read the activity log by type and time
+CREATE INDEX IF NOT EXISTS idx_activity_type_time ON user_activity_log(activity_type, activity_time DESC);
+
+COMMENT ON TABLE user_metrics_history IS 'Follower/following/friend counts at every profile scrape';
@@ -0,0 +1,12 @@
+-- ============================================
+-- 005 RELATIONSHIP HISTORY (rollback)
+-- Ended edges would read as active again, so drop them first.
+-- ============================================
+
+DROP INDEX IF EXISTS idx_relationships_ended;
+
+DELETE FROM user_relationships WHERE ended_at IS NOT NULL;
+
+ALTER TABLE user_relationships
+    DROP COLUMN IF EXISTS ended_at,
+    DROP COLUMN IF EXISTS started_at;
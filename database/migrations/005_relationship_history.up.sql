@@ -0,0 +1,17 @@
+-- ============================================
+-- 005 RELATIONSHIP HISTORY
+-- Edges are no longer only ever added: a complete list scrape ends
+-- edges that disappeared and (re)starts ones that appeared.
+-- Active edges are the ones with ended_at IS NULL.
+-- ============================================
+
+ALTER TABLE user_relationships
+    ADD COLUMN IF NOT EXISTS started_at TIMESTAMP DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP;
+
+-- Existing edges started when they were first scraped
+UPDATE user_relationships SET started_at = created_at;
+
+CREATE INDEX IF NOT EXISTS idx_relationships_ended
+    ON user_relationships(user_id, relationship_type, ended_at)
+    WHERE ended_at IS NOT NULL;
@@ -0,0 +1,7 @@
+-- ============================================
+-- 006 CO-PRESENCE GRAPH (rollback)
+-- ============================================
+
+DROP INDEX IF EXISTS idx_sessions_left_at;
+DROP TABLE IF EXISTS copresence_state;
+DROP TABLE IF EXISTS copresence_edges;
@@ -0,0 +1,38 @@
+-- ============================================
+-- 006 CO-PRESENCE GRAPH
+-- Weighted user-user edges built from overlapping sessions in the
+-- same room (see copresence.js). Each pair is stored once with
+-- user_a < user_b, and is added to incrementally as sessions close.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS copresence_edges (
+    user_a VARCHAR(50) NOT NULL,
+    user_b VARCHAR(50) NOT NULL,
+
+    seconds_together BIGINT NOT NULL DEFAULT 0,
+    encounters INTEGER NOT NULL DEFAULT 0,
+    first_seen_together TIMESTAMP,
+    last_seen_together TIMESTAMP,
+
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    PRIMARY KEY (user_a, user_b),
+    FOREIGN KEY (user_a) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_b) REFERENCES users(user_id) ON DELETE CASCADE,
+    CONSTRAINT copresence_pair_order CHECK (user_a < user_b)
+);
+
+CREATE INDEX IF NOT EXISTS idx_copresence_user_b ON copresence_edges(user_b);
+
+-- Sessions that closed at or before built_through are already in the edges
+CREATE TABLE IF NOT EXISTS copresence_state (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    built_through TIMESTAMP NOT NULL DEFAULT 'epoch'
+);
+
+INSERT INTO copresence_state (id) VALUES (TRUE) ON CONFLICT DO NOTHING;
+
+-- Each build reads the sessions that closed since the last one
+CREATE INDEX IF NOT EXISTS idx_sessions_left_at ON sessions(left_at) WHERE left_at IS NOT NULL;
+
+COMMENT ON TABLE copresence_edges IS 'Who was in a room with whom: time together, encounters, last seen together';
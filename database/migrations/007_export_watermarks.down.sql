@@ -0,0 +1,5 @@
+-- ============================================
+-- 007 EXPORT WATERMARKS (rollback)
+-- ============================================
+
+DROP TABLE IF EXISTS export_watermarks;
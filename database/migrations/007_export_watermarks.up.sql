@@ -0,0 +1,17 @@
+-- ============================================
+-- 007 EXPORT WATERMARKS
+-- How far each named incremental export has got (see exporter.js).
+-- A `--since-last` export picks up rows changed after exported_through.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS export_watermarks (
+    name VARCHAR(100) PRIMARY KEY,
+    entity VARCHAR(30) NOT NULL,
+    exported_through TIMESTAMP NOT NULL,
+
+    last_file TEXT,
+    last_row_count BIGINT DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE export_watermarks IS 'Incremental export progress: rows changed up to exported_through have been exported';
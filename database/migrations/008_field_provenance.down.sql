@@ -0,0 +1,5 @@
+-- ============================================
+-- 008 FIELD PROVENANCE (rollback)
+-- ============================================
+
+ALTER TABLE users DROP COLUMN IF EXISTS field_provenance;
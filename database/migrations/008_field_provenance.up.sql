@@ -0,0 +1,23 @@
+-- ============================================
+-- 008 FIELD PROVENANCE
+-- Which page last set each user column, and when (see merge.js):
+--   { "followers_count": { "source": "profile", "rank": 3, "at": "..." }, ... }
+-- Existing non-null values are marked `legacy` so a sparse sighting can't
+-- overwrite them, while a profile scrape still can.
+-- ============================================
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS field_provenance JSONB NOT NULL DEFAULT '{}';
+
+UPDATE users u
+SET field_provenance = COALESCE((
+    SELECT jsonb_object_agg(key, jsonb_build_object('source', 'legacy', 'rank', 2, 'at', COALESCE(u.updated_at, u.created_at, NOW()::TIMESTAMP)))
+    FROM jsonb_object_keys(jsonb_strip_nulls(to_jsonb(u))) AS key
+    WHERE key IN (
+        'username', 'user_avatar', 'bio', 'followers_count', 'following_count', 'friends_count',
+        'gender', 'languages', 'interests', 'supporter_level', 'verification_status'
+    )
+), '{}')
+WHERE field_provenance = '{}';
+
+COMMENT ON COLUMN users.field_provenance IS 'Per-column source page, trust rank and time of the stored value';
@@ -0,0 +1,5 @@
+-- ============================================
+-- 009 ROOM CHANGES (rollback)
+-- ============================================
+
+DROP TABLE IF EXISTS room_changes;
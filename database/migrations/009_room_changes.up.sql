@@ -0,0 +1,22 @@
+-- ============================================
+-- 009 ROOM CHANGES
+-- One row per room setting that changed between two observations, e.g. a
+-- room becoming locked or its topic changing (written by the room upsert in
+-- merge.js). Occupancy (current_users_count, is_full) lives in room_snapshots.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS room_changes (
+    change_id BIGSERIAL PRIMARY KEY,
+    room_id VARCHAR(100) NOT NULL,
+    field VARCHAR(50) NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    changed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    FOREIGN KEY (room_id) REFERENCES rooms(room_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_changes_room_time ON room_changes(room_id, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_room_changes_field_time ON room_changes(field, changed_at DESC);
+
+COMMENT ON TABLE room_changes IS 'History of room settings: field, old and new value per change';
@@ -0,0 +1,5 @@
+-- ============================================
+-- 010 ONE OPEN PARTICIPANT ROW (rollback)
+-- ============================================
+
+DROP INDEX IF EXISTS idx_participants_open;
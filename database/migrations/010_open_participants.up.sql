@@ -0,0 +1,29 @@
+-- ============================================
+-- 010 ONE OPEN PARTICIPANT ROW
+-- A user has at most one open room_participants row per room: every pass
+-- that sees them updates it, and closing their session (db.closeSession)
+-- sets its left_at. Before this every pass added a row and none was closed.
+-- ============================================
+
+-- Later open rows for the same stay are repeats of the earliest one
+DELETE FROM room_participants rp
+USING room_participants earlier
+WHERE rp.left_at IS NULL
+  AND earlier.left_at IS NULL
+  AND earlier.room_id = rp.room_id
+  AND earlier.user_id = rp.user_id
+  AND (earlier.joined_at, earlier.participant_id) < (rp.joined_at, rp.participant_id);
+
+-- Rows whose session has already closed end when it did
+UPDATE room_participants rp SET
+    left_at = GREATEST(COALESCE((
+        SELECT MAX(s.left_at) FROM sessions s
+        WHERE s.user_id = rp.user_id AND s.room_id = rp.room_id
+    ), NOW()), rp.joined_at)
+WHERE rp.left_at IS NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM sessions s
+    WHERE s.user_id = rp.user_id AND s.room_id = rp.room_id AND s.left_at IS NULL
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_participants_open ON room_participants(room_id, user_id) WHERE left_at IS NULL;
@@ -1,117 +1,102 @@
 const { Pool } = require('pg');
 const config = require('./config');
+const { Migrator } = require('./migrate');
+const { metrics } = require('./metrics');
+const WriteBuffer = require('./writebuffer');
+const { userUpsertStatement, roomUpsertStatement } = require('./merge');
+
+// Column mapping: the app's `username` is the Free4Talk profile id and is
+// stored in users.user_id; users.username holds the display name.
+
+// user_activity_log types written by syncRelationships(), from user_id's side
+const RELATIONSHIP_ACTIVITY = {
+  follower: { started: 'follower_gained', ended: 'follower_lost' },
+  following: { started: 'started_following', ended: 'stopped_following' },
+  friend: { started: 'friend_added', ended: 'friend_removed' }
+};
 
 class Database {
   constructor() {
-    const DATABASE_URL = process.env.DATABASE_URL;
-    
-    console.log('🔍 DATABASE_URL exists:', !!DATABASE_URL); // ADD THIS
-    
-    if (DATABASE_URL) {
-      console.log('✅ Using DATABASE_URL with SSL config'); // ADD THIS
-      this.pool = new Pool({
-        connectionString: DATABASE_URL,
-        ssl: {
-          rejectUnauthorized: false
-        }
-      });
-    } else {
-      console.log('⚠️ Using config.db (no SSL)'); // ADD THIS
-      this.pool = new Pool(config.db);
-    }
-  }
-  
-
+    // DATABASE_URL and the DB_* variables both end up in config.db, with one SSL setting
+    const { sslMode, ...options } = config.db;
+    console.log(`🗄️  Database ${options.host}:${options.port}/${options.database} (ssl: ${sslMode})`);
+    this.pool = new Pool(options);
+    this.writes = new WriteBuffer(this, config.writeBuffer);
+  }
 
   async connect() {
     try {
       const client = await this.pool.connect();
       console.log('✅ Connected to PostgreSQL database');
       client.release();
-      return true;
     } catch (error) {
       console.error('❌ Database connection error:', error.message);
       throw error;
     }
+
+    await this.checkSchemaVersion();
+    return true;
   }
 
   /**
-   * FIXED: Upsert user with proper update logic
+   * Run a query, counting failures for /metrics
    */
-  async upsertUser(userData) {
-    const {
-      username,
-      displayName,
-      avatarUrl,
-      bio,
-      followerCount,
-      followingCount,
-      friendsCount,
-      gender,
-      languages,
-      interests
-    } = userData;
-
-    // First, try to INSERT
-    const insertQuery = `
-      INSERT INTO users (
-        username, display_name, avatar_url, bio, 
-        follower_count, following_count, friends_count, 
-        gender, languages, interests, last_active
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
-      ON CONFLICT (username) DO NOTHING
-      RETURNING *
-    `;
+  async query(text, params) {
+    try {
+      return await this.pool.query(text, params);
+    } catch (error) {
+      metrics.dbQueryErrors.inc();
+      throw error;
+    }
+  }
 
-    const values = [
-      username,
-      displayName || username,
-      avatarUrl,
-      bio,
-      followerCount || 0,
-      followingCount || 0,
-      friendsCount || 0,
-      gender,
-      languages || [],
-      interests || []
-    ];
+  /**
+   * Cheap reachability check for /readyz
+   */
+  async ping() {
+    try {
+      await this.query('SELECT 1');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Refuse to run against a schema older than the migrations on disk
+   */
+  async checkSchemaVersion() {
+    const { current, latest, pending } = await new Migrator(this.pool).status();
+
+    if (pending.length > 0) {
+      throw new Error(
+        `Database schema is at version ${current || 'none'} but ${latest} is required ` +
+        `(${pending.length} pending migration(s)). Run \`npm run migrate up\` first.`
+      );
+    }
+
+    console.log(`✅ Schema version ${current}`);
+  }
+
+  /**
+   * Upsert a user. `userData.source` says which page it came from (see
+   * merge.js): only fields that page observed are written, and a stored value
+   * from a more trusted page is kept.
+   */
+  async upsertUser(userData) {
+    const { username } = userData;
 
     try {
-      const insertResult = await this.pool.query(insertQuery, values);
+      const { text, values } = userUpsertStatement([userData], { returning: true });
+      const result = await this.query(text, values);
+      const { inserted, ...user } = result.rows[0];
 
-      // If insert succeeded, return the new row
-      if (insertResult.rowCount > 0) {
+      if (inserted) {
         console.log(`✅ Inserted new user: ${username}`);
-        return insertResult.rows[0];
+      } else {
+        console.log(`🔄 Updated user: ${username} (${user.followers_count} followers)`);
       }
-
-      // Otherwise, UPDATE the existing row
-      const updateQuery = `
-        UPDATE users SET
-          display_name = $2,
-          avatar_url = $3,
-          bio = $4,
-          follower_count = $5,
-          following_count = $6,
-          friends_count = $7,
-          gender = $8,
-          languages = $9,
-          interests = $10,
-          last_active = NOW(),
-          updated_at = NOW()
-        WHERE username = $1
-        RETURNING *
-      `;
-
-      const updateResult = await this.pool.query(updateQuery, values);
-
-      if (updateResult.rowCount > 0) {
-        console.log(`🔄 Updated user: ${username} (${followerCount} followers)`);
-        return updateResult.rows[0];
-      }
-
-      throw new Error(`Failed to upsert user ${username}`);
+      return user;
 
     } catch (error) {
       console.error(`❌ Error upserting user ${username}:`, error.message);
@@ -119,6 +104,30 @@ class Database {
     }
   }
 
+  /**
+   * Buffered writes (see writebuffer.js): queue rows for a page, then
+   * flushWrites() once the rows are needed, e.g. before diffing against them.
+   */
+  queueUser(userData) {
+    return this.writes.user(userData);
+  }
+
+  queueRoom(roomData) {
+    return this.writes.room(roomData);
+  }
+
+  queueParticipants(roomId, participants) {
+    return this.writes.participants(roomId, participants);
+  }
+
+  queueRelationships(username, relatedUsernames, type) {
+    return this.writes.relationships(username, relatedUsernames, type);
+  }
+
+  flushWrites() {
+    return this.writes.flush();
+  }
+
   /**
    * NEW: Add or update a user relationship
    */
@@ -126,22 +135,25 @@ class Database {
     const query = `
       WITH user_ids AS (
         SELECT 
-          u1.id as user_id,
-          u2.id as related_user_id
+          u1.user_id as user_id,
+          u2.user_id as related_user_id
         FROM users u1
         CROSS JOIN users u2
-        WHERE u1.username = $1 AND u2.username = $2
+        WHERE u1.user_id = $1 AND u2.user_id = $2
       )
       INSERT INTO user_relationships (user_id, related_user_id, relationship_type)
       SELECT user_id, related_user_id, $3
       FROM user_ids
       ON CONFLICT (user_id, related_user_id, relationship_type) 
-      DO UPDATE SET created_at = NOW()
+      DO UPDATE SET
+        created_at = NOW(),
+        started_at = CASE WHEN user_relationships.ended_at IS NULL THEN user_relationships.started_at ELSE NOW() END,
+        ended_at = NULL
       RETURNING *
     `;
 
     try {
-      const result = await this.pool.query(query, [username, relatedUsername, type]);
+      const result = await this.query(query, [username, relatedUsername, type]);
       return result.rows[0];
     } catch (error) {
       console.error(`Error adding ${type} relationship ${username} -> ${relatedUsername}:`, error.message);
@@ -150,7 +162,8 @@ class Database {
   }
 
   /**
-   * NEW: Bulk insert relationships (more efficient)
+   * NEW: Bulk insert relationships (more efficient).
+   * For partial lists: adds and re-opens edges but never ends any.
    */
   async bulkInsertRelationships(username, relatedUsernames, type) {
     if (!relatedUsernames || relatedUsernames.length === 0) {
@@ -159,20 +172,22 @@ class Database {
 
     const query = `
       WITH user_id AS (
-        SELECT id FROM users WHERE username = $1
+        SELECT user_id AS id FROM users WHERE user_id = $1
       ),
       related_ids AS (
-        SELECT id, username FROM users WHERE username = ANY($2)
+        SELECT user_id AS id FROM users WHERE user_id = ANY($2)
       )
       INSERT INTO user_relationships (user_id, related_user_id, relationship_type)
       SELECT user_id.id, related_ids.id, $3
       FROM user_id
       CROSS JOIN related_ids
-      ON CONFLICT (user_id, related_user_id, relationship_type) DO NOTHING
+      ON CONFLICT (user_id, related_user_id, relationship_type) DO UPDATE
+        SET started_at = NOW(), ended_at = NULL
+        WHERE user_relationships.ended_at IS NOT NULL
     `;
 
     try {
-      const result = await this.pool.query(query, [username, relatedUsernames, type]);
+      const result = await this.query(query, [username, relatedUsernames, type]);
       console.log(`✅ Added ${result.rowCount} ${type} relationships for ${username}`);
       return result.rowCount;
     } catch (error) {
@@ -182,56 +197,153 @@ class Database {
   }
 
   /**
-   * Upsert a room
+   * Diff a complete relationship list against the stored edges: edges that
+   * vanished are ended, new ones started, and every change is written to
+   * user_activity_log. The very first sync for a user/type only seeds edges,
+   * so it doesn't log the whole list as new.
+   * Returns { started, ended } arrays of related usernames.
    */
-  async upsertRoom(roomData) {
-    const { roomId, roomName, topic, language, isPublic, participantCount, createdBy } = roomData;
+  async syncRelationships(username, relatedUsernames, type) {
+    const activity = RELATIONSHIP_ACTIVITY[type];
 
     const query = `
-      INSERT INTO rooms (room_id, room_name, topic, language, is_public, participant_count, created_by)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      ON CONFLICT (room_id) 
-      DO UPDATE SET
-        room_name = EXCLUDED.room_name,
-        topic = EXCLUDED.topic,
-        language = EXCLUDED.language,
-        participant_count = EXCLUDED.participant_count,
-        last_active = NOW(),
-        updated_at = NOW()
-      RETURNING *
+      WITH prior AS (
+        SELECT COUNT(*) AS n
+        FROM user_relationships
+        WHERE user_id = $1 AND relationship_type = $3
+      ),
+      scraped AS (
+        SELECT user_id AS related_user_id FROM users WHERE user_id = ANY($2::text[])
+      ),
+      ended AS (
+        UPDATE user_relationships
+        SET ended_at = NOW()
+        WHERE user_id = $1 AND relationship_type = $3 AND ended_at IS NULL
+          AND related_user_id NOT IN (SELECT related_user_id FROM scraped)
+        RETURNING related_user_id
+      ),
+      started AS (
+        INSERT INTO user_relationships (user_id, related_user_id, relationship_type, started_at)
+        SELECT $1, related_user_id, $3, NOW() FROM scraped
+        WHERE EXISTS (SELECT 1 FROM users WHERE user_id = $1)
+        ON CONFLICT (user_id, related_user_id, relationship_type) DO UPDATE
+          SET started_at = NOW(), ended_at = NULL
+          WHERE user_relationships.ended_at IS NOT NULL
+        RETURNING related_user_id
+      ),
+      logged AS (
+        INSERT INTO user_activity_log (user_id, activity_type, activity_data)
+        SELECT $1, change.activity_type, jsonb_build_object('relatedUserId', change.related_user_id, 'relationshipType', $3::text)
+        FROM (
+          SELECT related_user_id, $4::text AS activity_type FROM started
+          UNION ALL
+          SELECT related_user_id, $5::text FROM ended
+        ) change
+        WHERE (SELECT n FROM prior) > 0
+      )
+      SELECT
+        COALESCE((SELECT ARRAY_AGG(related_user_id) FROM started), '{}') AS started,
+        COALESCE((SELECT ARRAY_AGG(related_user_id) FROM ended), '{}') AS ended
     `;
 
     try {
-      const result = await this.pool.query(query, [
-        roomId, roomName, topic, language, isPublic !== false, participantCount || 0, createdBy
-      ]);
-      return result.rows[0];
+      const result = await this.query(query, [username, relatedUsernames, type, activity.started, activity.ended]);
+      const { started, ended } = result.rows[0];
+      console.log(`🔀 Synced ${type} for ${username}: +${started.length} / -${ended.length}`);
+      return { started, ended };
+    } catch (error) {
+      console.error(`Error syncing ${type} for ${username}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Edges of a user that ended since a date, e.g. who unfollowed them
+   */
+  async getEndedRelationships(username, type, since, { limit = 1000, offset = 0 } = {}) {
+    const query = `
+      SELECT u2.user_id AS username, u2.username AS display_name, u2.user_avatar AS avatar_url,
+             ur.started_at, ur.ended_at
+      FROM user_relationships ur
+      JOIN users u2 ON ur.related_user_id = u2.user_id
+      WHERE ur.user_id = $1 AND ur.relationship_type = $2 AND ur.ended_at >= $3
+      ORDER BY ur.ended_at DESC, u2.user_id
+      LIMIT $4 OFFSET $5
+    `;
+
+    try {
+      const result = await this.query(query, [username, type, since, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      console.error(`Error getting ended ${type} for ${username}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Upsert a room with every setting the page showed (see ROOM_FIELDS in
+   * merge.js); fields it didn't show keep their stored value, and changed
+   * settings are logged to room_changes
+   */
+  async upsertRoom(roomData) {
+    const { roomId } = roomData;
+
+    try {
+      const { text, values } = roomUpsertStatement([roomData]);
+      const result = await this.query(text, values);
+      const { inserted, changed_fields: changedFields, ...room } = result.rows[0];
+
+      if (changedFields.length > 0) {
+        console.log(`🔀 Room ${roomId} changed: ${changedFields.join(', ')}`);
+      }
+      return room;
     } catch (error) {
       console.error(`Error upserting room ${roomId}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * A room's setting changes, newest first
+   */
+  async getRoomChanges(roomId, { limit = 1000, offset = 0 } = {}) {
+    const query = `
+      SELECT field, old_value, new_value, changed_at
+      FROM room_changes
+      WHERE room_id = $1
+      ORDER BY changed_at DESC, change_id DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    try {
+      const result = await this.query(query, [roomId, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      console.error(`Error getting changes for room ${roomId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * NEW: Add room participant
    */
   async addRoomParticipant(roomId, username, role = 'listener') {
     const query = `
       WITH room_user AS (
-        SELECT r.id as room_id, u.id as user_id
+        SELECT r.room_id, u.user_id
         FROM rooms r
         CROSS JOIN users u
-        WHERE r.room_id = $1 AND u.username = $2
+        WHERE r.room_id = $1 AND u.user_id = $2
       )
       INSERT INTO room_participants (room_id, user_id, role)
       SELECT room_id, user_id, $3
       FROM room_user
-      ON CONFLICT (room_id, user_id, joined_at) DO NOTHING
+      ON CONFLICT (room_id, user_id) WHERE left_at IS NULL DO UPDATE SET role = EXCLUDED.role
       RETURNING *
     `;
 
     try {
-      const result = await this.pool.query(query, [roomId, username, role]);
+      const result = await this.query(query, [roomId, username, role]);
       return result.rows[0];
     } catch (error) {
       console.error(`Error adding participant ${username} to room ${roomId}:`, error.message);
@@ -249,28 +361,28 @@ class Database {
 
     const query = `
       WITH room_id_lookup AS (
-        SELECT id FROM rooms WHERE room_id = $1
+        SELECT room_id AS id FROM rooms WHERE room_id = $1
       ),
       user_data AS (
         SELECT unnest($2::text[]) as username, unnest($3::text[]) as role
       ),
       user_ids AS (
-        SELECT u.id, ud.role
+        SELECT DISTINCT ON (u.user_id) u.user_id AS id, ud.role
         FROM users u
-        JOIN user_data ud ON u.username = ud.username
+        JOIN user_data ud ON u.user_id = ud.username
       )
       INSERT INTO room_participants (room_id, user_id, role)
       SELECT room_id_lookup.id, user_ids.id, user_ids.role
       FROM room_id_lookup
       CROSS JOIN user_ids
-      ON CONFLICT (room_id, user_id, joined_at) DO NOTHING
+      ON CONFLICT (room_id, user_id) WHERE left_at IS NULL DO UPDATE SET role = EXCLUDED.role
     `;
 
     try {
       const usernames = participants.map(p => p.username);
       const roles = participants.map(p => p.role || 'listener');
 
-      const result = await this.pool.query(query, [roomId, usernames, roles]);
+      const result = await this.query(query, [roomId, usernames, roles]);
       console.log(`✅ Added ${result.rowCount} participants to room ${roomId}`);
       return result.rowCount;
     } catch (error) {
@@ -287,19 +399,19 @@ class Database {
 
     const query = `
       WITH user_room AS (
-        SELECT u.id as user_id, r.id as room_id
+        SELECT u.user_id, r.room_id
         FROM users u
         CROSS JOIN rooms r
-        WHERE u.username = $1 AND r.room_id = $2
+        WHERE u.user_id = $1 AND r.room_id = $2
       )
-      INSERT INTO sessions (user_id, room_id, joined_at, left_at, duration)
+      INSERT INTO sessions (user_id, room_id, joined_at, left_at, duration_seconds)
       SELECT user_id, room_id, $3, $4, $5
       FROM user_room
       RETURNING *
     `;
 
     try {
-      const result = await this.pool.query(query, [
+      const result = await this.query(query, [
         username,
         roomId,
         joinedAt || new Date(),
@@ -313,17 +425,434 @@ class Database {
     }
   }
 
+  /**
+   * Open a session for a user who just appeared in a room
+   */
+  async openSession(username, roomId, joinedAt = new Date()) {
+    const query = `
+      WITH user_room AS (
+        SELECT u.user_id, r.room_id
+        FROM users u
+        CROSS JOIN rooms r
+        WHERE u.user_id = $1 AND r.room_id = $2
+      )
+      INSERT INTO sessions (user_id, room_id, joined_at, event_type, is_currently_active)
+      SELECT user_id, room_id, $3, 'join', TRUE
+      FROM user_room
+      WHERE NOT EXISTS (
+        SELECT 1 FROM sessions s
+        WHERE s.user_id = user_room.user_id
+          AND s.room_id = user_room.room_id
+          AND s.left_at IS NULL
+      )
+      RETURNING *
+    `;
+
+    try {
+      const result = await this.query(query, [username, roomId, joinedAt]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error(`Error opening session ${username} @ ${roomId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Close the open session(s) of a user who is no longer in a room, and
+   * their open room_participants row with them.
+   * Returns the closed sessions, or null if the update failed.
+   */
+  async closeSession(username, roomId, leftAt = new Date(), eventType = 'leave') {
+    const query = `
+      WITH closed AS (
+        UPDATE sessions s SET
+          left_at = GREATEST($3, s.joined_at),
+          duration_seconds = EXTRACT(EPOCH FROM (GREATEST($3, s.joined_at) - s.joined_at))::INTEGER,
+          event_type = $4,
+          is_currently_active = FALSE
+        WHERE s.user_id = $1
+          AND s.room_id = $2
+          AND s.left_at IS NULL
+        RETURNING s.*
+      ),
+      participant AS (
+        UPDATE room_participants rp SET left_at = GREATEST($3, rp.joined_at)
+        WHERE rp.user_id = $1
+          AND rp.room_id = $2
+          AND rp.left_at IS NULL
+      )
+      SELECT * FROM closed
+    `;
+
+    try {
+      const result = await this.query(query, [username, roomId, leftAt, eventType]);
+      return result.rows;
+    } catch (error) {
+      console.error(`Error closing session ${username} @ ${roomId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get all sessions that haven't been closed yet
+   */
+  async getActiveSessions() {
+    const query = `
+      SELECT s.user_id AS username, s.room_id, s.joined_at
+      FROM sessions s
+      WHERE s.left_at IS NULL
+    `;
+
+    try {
+      const result = await this.query(query);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting active sessions:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Write one room_snapshots row per room in a single round trip.
+   * Each room is { roomId, participants: [{ username, displayName, role }], isActive }
+   */
+  async insertRoomSnapshots(rooms, snapshotTime = new Date()) {
+    if (!rooms || rooms.length === 0) {
+      return 0;
+    }
+
+    const query = `
+      INSERT INTO room_snapshots (room_id, snapshot_time, participants_count, participants_json, is_active)
+      SELECT x.room_id, $2, x.participants_count, x.participants_json, x.is_active
+      FROM jsonb_to_recordset($1::jsonb) AS x(
+        room_id TEXT, participants_count INTEGER, participants_json JSONB, is_active BOOLEAN
+      )
+      WHERE EXISTS (SELECT 1 FROM rooms r WHERE r.room_id = x.room_id)
+    `;
+
+    const records = rooms.map(room => {
+      const participants = (room.participants || []).map(p => ({
+        username: p.username,
+        displayName: p.displayName || p.username,
+        role: p.role || 'listener'
+      }));
+
+      return {
+        room_id: room.roomId,
+        participants_count: participants.length,
+        participants_json: participants,
+        is_active: room.isActive !== false
+      };
+    });
+
+    try {
+      const result = await this.query(query, [JSON.stringify(records), snapshotTime]);
+      console.log(`📸 Saved ${result.rowCount} room snapshots`);
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error saving room snapshots:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Get raw snapshots of a room within a time window
+   */
+  async getRoomSnapshots(roomId, from, to, { limit = 1000, offset = 0 } = {}) {
+    const query = `
+      SELECT snapshot_time, participants_count, participants_json, is_active
+      FROM room_snapshots
+      WHERE room_id = $1 AND snapshot_time BETWEEN $2 AND $3
+      ORDER BY snapshot_time ASC
+      LIMIT $4 OFFSET $5
+    `;
+
+    try {
+      const result = await this.query(query, [roomId, from, to, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      console.error(`Error getting snapshots for room ${roomId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a room's occupancy over a window, bucketed for charting
+   */
+  async getRoomOccupancy(roomId, from, to, bucketMinutes = 15) {
+    const query = `
+      SELECT
+        TIMESTAMP 'epoch' + floor(extract(epoch FROM snapshot_time) / ($4 * 60)) * ($4 * 60) * INTERVAL '1 second' AS bucket,
+        ROUND(AVG(participants_count), 2)::REAL AS avg_participants,
+        MAX(participants_count) AS peak_participants,
+        MIN(participants_count) AS min_participants,
+        COUNT(*)::INTEGER AS samples
+      FROM room_snapshots
+      WHERE room_id = $1 AND snapshot_time BETWEEN $2 AND $3
+      GROUP BY bucket
+      ORDER BY bucket ASC
+    `;
+
+    try {
+      const result = await this.query(query, [roomId, from, to, bucketMinutes]);
+      return result.rows;
+    } catch (error) {
+      console.error(`Error getting occupancy for room ${roomId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconstruct who was in a room at a given moment (latest snapshot at or before it)
+   */
+  async getRoomSnapshotAt(roomId, at) {
+    const query = `
+      SELECT snapshot_time, participants_count, participants_json, is_active
+      FROM room_snapshots
+      WHERE room_id = $1 AND snapshot_time <= $2
+      ORDER BY snapshot_time DESC
+      LIMIT 1
+    `;
+
+    try {
+      const result = await this.query(query, [roomId, at]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error(`Error getting snapshot for room ${roomId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Append the counts from a profile scrape to user_metrics_history.
+   * Returns { previous, current } so callers can look at the change.
+   */
+  async recordUserMetrics(username, counts) {
+    const query = `
+      WITH previous AS (
+        SELECT followers_count, following_count, friends_count, recorded_at
+        FROM user_metrics_history
+        WHERE user_id = $1
+        ORDER BY recorded_at DESC
+        LIMIT 1
+      ),
+      inserted AS (
+        INSERT INTO user_metrics_history (user_id, followers_count, following_count, friends_count, supporter_level)
+        VALUES ($1, $2, $3, $4, COALESCE($5, 0))
+        RETURNING followers_count, following_count, friends_count, recorded_at
+      )
+      SELECT
+        (SELECT row_to_json(p) FROM previous p) AS previous,
+        (SELECT row_to_json(i) FROM inserted i) AS current
+    `;
+
+    try {
+      const result = await this.query(query, [
+        username,
+        counts.followerCount || 0,
+        counts.followingCount || 0,
+        counts.friendsCount || 0,
+        counts.supporterLevel
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      console.error(`Error recording metrics for ${username}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Follower change and elapsed hours between a user's first and last
+   * history rows in [from, to]
+   */
+  async getFollowerChange(username, from, to) {
+    const query = `
+      SELECT
+        (ARRAY_AGG(followers_count ORDER BY recorded_at DESC))[1]
+          - (ARRAY_AGG(followers_count ORDER BY recorded_at ASC))[1] AS gain,
+        EXTRACT(EPOCH FROM MAX(recorded_at) - MIN(recorded_at)) / 3600 AS hours
+      FROM user_metrics_history
+      WHERE user_id = $1 AND recorded_at BETWEEN $2 AND $3
+    `;
+
+    try {
+      const result = await this.query(query, [username, from, to]);
+      const row = result.rows[0];
+      return { gain: row.gain || 0, hours: parseFloat(row.hours) || 0 };
+    } catch (error) {
+      console.error(`Error getting follower change for ${username}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get a user's count history over the last N days
+   */
+  async getUserMetricsHistory(username, days = 30) {
+    const query = `
+      SELECT recorded_at, followers_count, following_count, friends_count, supporter_level
+      FROM user_metrics_history
+      WHERE user_id = $1 AND recorded_at >= NOW() - $2 * INTERVAL '1 day'
+      ORDER BY recorded_at ASC
+    `;
+
+    try {
+      const result = await this.query(query, [username, days]);
+      return result.rows;
+    } catch (error) {
+      console.error(`Error getting metrics history for ${username}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Growth over the last N days. The baseline is the last value recorded
+   * before the window, falling back to the first value inside it.
+   */
+  async getUserGrowth(username, days = 7) {
+    const query = `
+      WITH baseline AS (
+        SELECT * FROM (
+          (SELECT followers_count, following_count, friends_count, recorded_at
+           FROM user_metrics_history
+           WHERE user_id = $1 AND recorded_at < NOW() - $2 * INTERVAL '1 day'
+           ORDER BY recorded_at DESC LIMIT 1)
+          UNION ALL
+          (SELECT followers_count, following_count, friends_count, recorded_at
+           FROM user_metrics_history
+           WHERE user_id = $1 AND recorded_at >= NOW() - $2 * INTERVAL '1 day'
+           ORDER BY recorded_at ASC LIMIT 1)
+        ) candidates
+        ORDER BY recorded_at ASC
+        LIMIT 1
+      ),
+      latest AS (
+        SELECT followers_count, following_count, friends_count, recorded_at
+        FROM user_metrics_history
+        WHERE user_id = $1
+        ORDER BY recorded_at DESC
+        LIMIT 1
+      )
+      SELECT
+        b.recorded_at AS start_at,
+        l.recorded_at AS end_at,
+        b.followers_count AS start_followers,
+        l.followers_count AS end_followers,
+        l.followers_count - b.followers_count AS follower_gain,
+        l.following_count - b.following_count AS following_change,
+        l.friends_count - b.friends_count AS friends_change,
+        ROUND(100.0 * (l.followers_count - b.followers_count) / NULLIF(b.followers_count, 0), 2)::REAL AS growth_percent
+      FROM baseline b, latest l
+    `;
+
+    try {
+      const result = await this.query(query, [username, days]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error(`Error getting growth for ${username}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Users with the largest follower gain over the last N days
+   */
+  async getFastestGrowingUsers(days = 7, limit = 50) {
+    const query = `
+      WITH window_rows AS (
+        SELECT user_id, followers_count, recorded_at
+        FROM user_metrics_history
+        WHERE recorded_at >= NOW() - $1 * INTERVAL '1 day'
+      ),
+      earliest AS (
+        SELECT DISTINCT ON (user_id) user_id, followers_count, recorded_at
+        FROM window_rows
+        ORDER BY user_id, recorded_at ASC
+      ),
+      latest AS (
+        SELECT DISTINCT ON (user_id) user_id, followers_count, recorded_at
+        FROM window_rows
+        ORDER BY user_id, recorded_at DESC
+      )
+      SELECT
+        l.user_id AS username,
+        u.username AS display_name,
+        u.user_avatar AS avatar_url,
+        e.followers_count AS start_followers,
+        l.followers_count AS end_followers,
+        l.followers_count - e.followers_count AS follower_gain,
+        ROUND(100.0 * (l.followers_count - e.followers_count) / NULLIF(e.followers_count, 0), 2)::REAL AS growth_percent,
+        e.recorded_at AS start_at,
+        l.recorded_at AS end_at
+      FROM latest l
+      JOIN earliest e ON e.user_id = l.user_id
+      JOIN users u ON u.user_id = l.user_id
+      WHERE l.recorded_at > e.recorded_at
+      ORDER BY follower_gain DESC, growth_percent DESC NULLS LAST
+      LIMIT $2
+    `;
+
+    try {
+      const result = await this.query(query, [days, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting fastest growing users:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Append an entry to user_activity_log
+   */
+  async logUserActivity(username, activityType, activityData = {}) {
+    const query = `
+      INSERT INTO user_activity_log (user_id, activity_type, activity_data)
+      VALUES ($1, $2, $3)
+      RETURNING log_id
+    `;
+
+    try {
+      const result = await this.query(query, [username, activityType, JSON.stringify(activityData)]);
+      return result.rows[0];
+    } catch (error) {
+      console.error(`Error logging ${activityType} for ${username}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Recent user_activity_log entries of one type (e.g. follower_spike)
+   */
+  async getRecentActivity(activityType, days = 7, { limit = 1000, offset = 0 } = {}) {
+    const query = `
+      SELECT a.user_id AS username, u.username AS display_name, a.activity_data, a.activity_time
+      FROM user_activity_log a
+      LEFT JOIN users u ON u.user_id = a.user_id
+      WHERE a.activity_type = $1 AND a.activity_time >= NOW() - $2 * INTERVAL '1 day'
+      ORDER BY a.activity_time DESC
+      LIMIT $3 OFFSET $4
+    `;
+
+    try {
+      const result = await this.query(query, [activityType, days, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      console.error(`Error getting ${activityType} activity:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get user by username
    */
   async getUserByUsername(username) {
-    const query = 'SELECT * FROM users WHERE username = $1';
+    const query = 'SELECT * FROM users WHERE user_id = $1';
     try {
-      const result = await this.pool.query(query, [username]);
+      const result = await this.query(query, [username]);
       return result.rows[0] || null;
     } catch (error) {
       console.error(`Error getting user ${username}:`, error.message);
-      return null;
+      throw error;
     }
   }
 
@@ -331,9 +860,9 @@ class Database {
    * Get all users
    */
   async getAllUsers(limit = 100) {
-    const query = 'SELECT * FROM users ORDER BY last_active DESC LIMIT $1';
+    const query = 'SELECT * FROM users ORDER BY last_seen DESC LIMIT $1';
     try {
-      const result = await this.pool.query(query, [limit]);
+      const result = await this.query(query, [limit]);
       return result.rows;
     } catch (error) {
       console.error('Error getting all users:', error.message);
@@ -344,44 +873,63 @@ class Database {
   /**
    * Get user relationships
    */
-  async getUserRelationships(username, type) {
+  async getUserRelationships(username, type, { limit = 1000, offset = 0 } = {}) {
     const query = `
-      SELECT u2.username, u2.display_name, u2.avatar_url, ur.created_at
+      SELECT u2.user_id AS username, u2.username AS display_name, u2.user_avatar AS avatar_url,
+             ur.created_at, ur.started_at
       FROM user_relationships ur
-      JOIN users u1 ON ur.user_id = u1.id
-      JOIN users u2 ON ur.related_user_id = u2.id
-      WHERE u1.username = $1 AND ur.relationship_type = $2
-      ORDER BY ur.created_at DESC
+      JOIN users u2 ON ur.related_user_id = u2.user_id
+      WHERE ur.user_id = $1 AND ur.relationship_type = $2 AND ur.ended_at IS NULL
+      ORDER BY ur.created_at DESC, u2.user_id
+      LIMIT $3 OFFSET $4
     `;
 
     try {
-      const result = await this.pool.query(query, [username, type]);
+      const result = await this.query(query, [username, type, limit, offset]);
       return result.rows;
     } catch (error) {
       console.error(`Error getting ${type} for ${username}:`, error.message);
-      return [];
+      throw error;
     }
   }
 
   /**
-   * Get room participants
+   * Get the users currently in a room (their open room_participants row)
    */
-  async getRoomParticipants(roomId) {
+  async getRoomParticipants(roomId, { limit = 1000, offset = 0 } = {}) {
     const query = `
-      SELECT u.username, u.display_name, u.avatar_url, rp.role, rp.joined_at
+      SELECT u.user_id AS username, u.username AS display_name, u.user_avatar AS avatar_url, rp.role, rp.joined_at
       FROM room_participants rp
-      JOIN rooms r ON rp.room_id = r.id
-      JOIN users u ON rp.user_id = u.id
-      WHERE r.room_id = $1 AND rp.left_at IS NULL
-      ORDER BY rp.joined_at DESC
+      JOIN users u ON rp.user_id = u.user_id
+      WHERE rp.room_id = $1 AND rp.left_at IS NULL
+      ORDER BY rp.joined_at DESC, u.user_id
+      LIMIT $2 OFFSET $3
     `;
 
     try {
-      const result = await this.pool.query(query, [roomId]);
+      const result = await this.query(query, [roomId, limit, offset]);
       return result.rows;
     } catch (error) {
       console.error(`Error getting participants for room ${roomId}:`, error.message);
-      return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Get room join/leave timeline (get_room_timeline)
+   */
+  async getRoomTimeline(roomId, { limit = 1000, offset = 0 } = {}) {
+    const query = `
+      SELECT * FROM get_room_timeline($1)
+      LIMIT $2 OFFSET $3
+    `;
+
+    try {
+      const result = await this.query(query, [roomId, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      console.error(`Error getting timeline for room ${roomId}:`, error.message);
+      throw error;
     }
   }
 
@@ -394,12 +942,12 @@ class Database {
         (SELECT COUNT(*) FROM users) as user_count,
         (SELECT COUNT(*) FROM rooms) as room_count,
         (SELECT COUNT(*) FROM sessions) as session_count,
-        (SELECT COUNT(*) FROM user_relationships) as relationship_count,
+        (SELECT COUNT(*) FROM user_relationships WHERE ended_at IS NULL) as relationship_count,
         (SELECT COUNT(*) FROM room_participants WHERE left_at IS NULL) as active_participant_count
     `;
 
     try {
-      const result = await this.pool.query(query);
+      const result = await this.query(query);
       return result.rows[0];
     } catch (error) {
       console.error('Error getting stats:', error.message);
@@ -407,7 +955,117 @@ class Database {
     }
   }
 
+  /**
+   * Recompute room_analytics for one day (YYYY-MM-DD) from sessions and snapshots.
+   * Safe to re-run: every row for that date is overwritten.
+   */
+  async rollupRoomAnalytics(date) {
+    const query = `
+      WITH day_sessions AS (
+        SELECT room_id, user_id, joined_at, left_at, duration_seconds
+        FROM sessions
+        WHERE joined_at < $1::date + 1
+          AND (left_at IS NULL OR left_at >= $1::date)
+      ),
+      session_stats AS (
+        SELECT
+          room_id,
+          COUNT(*) AS total_participants,
+          COUNT(DISTINCT user_id) AS unique_participants,
+          COUNT(*) FILTER (WHERE joined_at >= $1::date) AS total_sessions,
+          AVG(duration_seconds) FILTER (WHERE joined_at >= $1::date) AS avg_duration
+        FROM day_sessions
+        GROUP BY room_id
+      ),
+      -- Peak from a join/leave sweep, for days before snapshots existed
+      session_peaks AS (
+        SELECT room_id, MAX(concurrent) AS peak
+        FROM (
+          SELECT room_id, SUM(delta) OVER (PARTITION BY room_id ORDER BY at, delta) AS concurrent
+          FROM (
+            SELECT room_id, GREATEST(joined_at, $1::date) AS at, 1 AS delta FROM day_sessions
+            UNION ALL
+            SELECT room_id, left_at, -1 FROM day_sessions WHERE left_at < $1::date + 1
+          ) events
+        ) running
+        GROUP BY room_id
+      ),
+      snapshot_peaks AS (
+        SELECT room_id, MAX(participants_count) AS peak
+        FROM room_snapshots
+        WHERE snapshot_time >= $1::date AND snapshot_time < $1::date + 1
+        GROUP BY room_id
+      )
+      INSERT INTO room_analytics (
+        room_id, date, total_participants, unique_participants,
+        total_sessions, avg_session_duration_seconds, peak_concurrent_users
+      )
+      SELECT
+        COALESCE(ss.room_id, sn.room_id),
+        $1::date,
+        COALESCE(ss.total_participants, 0),
+        COALESCE(ss.unique_participants, 0),
+        COALESCE(ss.total_sessions, 0),
+        COALESCE(ss.avg_duration, 0),
+        COALESCE(sn.peak, sp.peak, 0)
+      FROM session_stats ss
+      FULL OUTER JOIN snapshot_peaks sn ON sn.room_id = ss.room_id
+      LEFT JOIN session_peaks sp ON sp.room_id = ss.room_id
+      ON CONFLICT (room_id, date) DO UPDATE SET
+        total_participants = EXCLUDED.total_participants,
+        unique_participants = EXCLUDED.unique_participants,
+        total_sessions = EXCLUDED.total_sessions,
+        avg_session_duration_seconds = EXCLUDED.avg_session_duration_seconds,
+        peak_concurrent_users = EXCLUDED.peak_concurrent_users
+    `;
+
+    try {
+      const result = await this.query(query, [date]);
+      return result.rowCount;
+    } catch (error) {
+      console.error(`Error rolling up analytics for ${date}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh mv_daily_room_stats and mv_user_activity_summary
+   */
+  async refreshMaterializedViews() {
+    try {
+      await this.query('SELECT refresh_all_materialized_views()');
+    } catch (error) {
+      console.error('Error refreshing materialized views:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * First and last day with any session or snapshot (for backfills)
+   */
+  async getActivityDateRange() {
+    const query = `
+      SELECT
+        to_char(LEAST(MIN(first_at), NOW()), 'YYYY-MM-DD') AS first_date,
+        to_char(GREATEST(MAX(last_at), NOW()), 'YYYY-MM-DD') AS last_date
+      FROM (
+        SELECT MIN(joined_at) AS first_at, MAX(joined_at) AS last_at FROM sessions
+        UNION ALL
+        SELECT MIN(snapshot_time), MAX(snapshot_time) FROM room_snapshots
+      ) bounds
+    `;
+
+    try {
+      const result = await this.query(query);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error getting activity date range:', error.message);
+      return null;
+    }
+  }
+
   async close() {
+    await this.writes.close();
     await this.pool.end();
     console.log('🔌 Database connection closed');
   }
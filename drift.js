@@ -0,0 +1,158 @@
+// drift.js - Notice when the site's markup drifts away from our selectors
+//
+// Every parse is recorded as a success or a failure (with a reason) per page
+// type. Failures save the page's HTML, a screenshot and its recent network
+// log to artifacts/<timestamp>-<type>/, and a failure rate over the rolling
+// window above the threshold raises an alert.
+const fs = require('fs');
+const path = require('path');
+const { metrics } = require('./metrics');
+
+// Requests kept per page for the network log
+const NETWORK_LOG_SIZE = 200;
+
+class ParseDriftDetector {
+  /**
+   * options.artifactsDir       - where failure artifacts are written
+   * options.windowSize         - parses per page type in the rolling window
+   * options.minSamples         - don't alert on fewer parses than this
+   * options.failureThreshold   - alert when the failure share reaches this (0-1)
+   * options.captureCooldownMs  - at most one artifact capture per type per cooldown
+   * options.onAlert            - (alert) => void, called when a type starts failing
+   */
+  constructor(options) {
+    this.options = options;
+    this.windows = new Map();
+    this.alerting = new Set();
+    this.lastCapture = new Map();
+    this.networkLogs = new WeakMap();
+  }
+
+  /**
+   * Keep a rolling log of the page's requests for failure artifacts
+   */
+  attach(page) {
+    const log = [];
+    this.networkLogs.set(page, log);
+
+    page.on('requestfinished', async request => {
+      const response = await request.response().catch(() => null);
+      push(log, request, { status: response ? response.status() : null });
+    });
+    page.on('requestfailed', request => {
+      push(log, request, { error: request.failure()?.errorText || 'failed' });
+    });
+  }
+
+  /**
+   * Record one parse. `failureReason` is null for a good parse.
+   */
+  async record(page, pageType, failureReason = null) {
+    const window = this.windows.get(pageType) || [];
+    window.push(failureReason === null);
+    if (window.length > this.options.windowSize) window.shift();
+    this.windows.set(pageType, window);
+
+    metrics.parseResults.inc({ type: pageType, status: failureReason ? 'failure' : 'success' });
+    const rate = this.failureRate(pageType);
+    metrics.parseFailureRate.set({ type: pageType }, rate);
+
+    if (failureReason) {
+      await this.capture(page, pageType, failureReason);
+    }
+
+    this.checkThreshold(pageType, rate, failureReason);
+  }
+
+  failureRate(pageType) {
+    const window = this.windows.get(pageType) || [];
+    if (window.length === 0) return 0;
+    return window.filter(ok => !ok).length / window.length;
+  }
+
+  /**
+   * Success/failure counts per page type for status output
+   */
+  summary() {
+    const result = {};
+    for (const [pageType, window] of this.windows) {
+      result[pageType] = {
+        samples: window.length,
+        failures: window.filter(ok => !ok).length,
+        failureRate: this.failureRate(pageType),
+        alerting: this.alerting.has(pageType)
+      };
+    }
+    return result;
+  }
+
+  checkThreshold(pageType, rate, lastReason) {
+    const samples = (this.windows.get(pageType) || []).length;
+    const failing = samples >= this.options.minSamples && rate >= this.options.failureThreshold;
+
+    if (failing && !this.alerting.has(pageType)) {
+      this.alerting.add(pageType);
+      const alert = { pageType, failureRate: rate, samples, lastReason };
+      console.error(`🚨 Parse drift: ${Math.round(rate * 100)}% of the last ${samples} ${pageType} parses failed (latest: ${lastReason})`);
+
+      if (this.options.onAlert) {
+        Promise.resolve(this.options.onAlert(alert)).catch(error => {
+          console.error('Error sending drift alert:', error.message);
+        });
+      }
+    } else if (!failing && this.alerting.has(pageType)) {
+      this.alerting.delete(pageType);
+      console.log(`✅ Parse drift cleared for ${pageType} (${Math.round(rate * 100)}% failing)`);
+    }
+  }
+
+  /**
+   * Save HTML, screenshot and network log for a failed parse
+   */
+  async capture(page, pageType, reason) {
+    const now = Date.now();
+    if (now - (this.lastCapture.get(pageType) || 0) < this.options.captureCooldownMs) return null;
+    this.lastCapture.set(pageType, now);
+
+    const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+    const directory = path.join(this.options.artifactsDir, `${stamp}-${pageType}`);
+
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+
+      fs.writeFileSync(path.join(directory, 'details.json'), JSON.stringify({
+        pageType: pageType,
+        reason: reason,
+        url: page.url(),
+        capturedAt: new Date(now).toISOString()
+      }, null, 2));
+      fs.writeFileSync(path.join(directory, 'page.html'), await page.content());
+      fs.writeFileSync(path.join(directory, 'network.json'), JSON.stringify(this.networkLogs.get(page) || [], null, 2));
+      await page.screenshot({ path: path.join(directory, 'screenshot.png'), fullPage: true });
+
+      metrics.artifactsCaptured.inc({ type: pageType });
+      console.warn(`📸 Saved ${pageType} parse failure (${reason}) to ${directory}`);
+      return directory;
+
+    } catch (error) {
+      console.error(`Error saving artifacts for ${pageType}:`, error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * Helper: Append a request to a bounded network log
+ */
+function push(log, request, outcome) {
+  log.push({
+    at: new Date().toISOString(),
+    method: request.method(),
+    url: request.url(),
+    resourceType: request.resourceType(),
+    ...outcome
+  });
+  if (log.length > NETWORK_LOG_SIZE) log.shift();
+}
+
+module.exports = ParseDriftDetector;
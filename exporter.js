@@ -0,0 +1,264 @@
+// exporter.js - Stream tracker tables to CSV, JSON lines or Parquet files
+//
+// Rows are read through a server-side cursor in batches, so an export never
+// holds more than one batch in memory. An incremental export (`since`) only
+// writes rows changed after the watermark saved under its name, and moves
+// the watermark forward once the file is complete.
+const fs = require('fs');
+const Cursor = require('pg-cursor');
+const { ParquetSchema, ParquetWriter } = require('@dsnp/parquetjs');
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+// time    - column --from/--to apply to
+// changed - when a row last changed, for incremental exports
+// filters - columns that can be matched with --where column=value
+const ENTITIES = {
+  users: {
+    table: 'users',
+    key: 'user_id',
+    time: 'last_seen',
+    changed: 'updated_at',
+    filters: ['user_id', 'verification_status', 'gender']
+  },
+  rooms: {
+    table: 'rooms',
+    key: 'room_id',
+    time: 'last_activity',
+    changed: 'updated_at',
+    filters: ['room_id', 'language', 'skill_level', 'is_active']
+  },
+  sessions: {
+    table: 'sessions',
+    key: 'session_id',
+    time: 'joined_at',
+    changed: 'GREATEST(created_at, left_at)',
+    filters: ['user_id', 'room_id', 'event_type']
+  },
+  relationships: {
+    table: 'user_relationships',
+    key: 'relationship_id',
+    time: 'started_at',
+    changed: 'GREATEST(created_at, started_at, ended_at)',
+    filters: ['user_id', 'related_user_id', 'relationship_type']
+  },
+  snapshots: {
+    table: 'room_snapshots',
+    key: 'snapshot_id',
+    time: 'snapshot_time',
+    changed: 'snapshot_time',
+    filters: ['room_id', 'is_active']
+  }
+};
+
+const FORMATS = ['csv', 'jsonl', 'parquet'];
+
+// Postgres type OIDs -> Parquet column types (anything else is written as text)
+const PARQUET_TYPES = {
+  16: 'BOOLEAN',
+  20: 'INT64',
+  21: 'INT32',
+  23: 'INT32',
+  700: 'DOUBLE',
+  701: 'DOUBLE',
+  1700: 'DOUBLE',
+  1082: 'TIMESTAMP_MILLIS',
+  1114: 'TIMESTAMP_MILLIS',
+  1184: 'TIMESTAMP_MILLIS'
+};
+
+class Exporter {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * options.entity    - users | rooms | sessions | relationships | snapshots
+   * options.format    - csv | jsonl | parquet
+   * options.file      - output path
+   * options.from/to   - Date range on the entity's time column
+   * options.filters   - { column: value } equality filters
+   * options.since     - watermark name; only rows changed since its last export
+   * options.batchSize - rows per cursor read
+   * Returns { file, rows, through }.
+   */
+  async export(options) {
+    const entity = ENTITIES[options.entity];
+    if (!entity) {
+      throw new Error(`Unknown entity "${options.entity}" (expected ${Object.keys(ENTITIES).join(', ')})`);
+    }
+    if (!FORMATS.includes(options.format)) {
+      throw new Error(`Unknown format "${options.format}" (expected ${FORMATS.join(', ')})`);
+    }
+
+    const through = (await this.db.query('SELECT NOW()::TIMESTAMP AS now')).rows[0].now;
+    const watermark = options.since ? await this.getWatermark(options.since) : null;
+    const { text, values } = buildQuery(entity, { ...options, after: watermark, through: options.since ? through : null });
+
+    // Column types for CSV headers / the Parquet schema, before any row is read
+    const { fields } = await this.db.query(`SELECT * FROM (${text}) AS q LIMIT 0`, values);
+    const writer = await openWriter(options.format, options.file, fields);
+
+    const client = await this.db.pool.connect();
+    const cursor = client.query(new Cursor(text, values));
+    let rows = 0;
+
+    try {
+      while (true) {
+        const batch = await cursor.read(options.batchSize || DEFAULT_BATCH_SIZE);
+        if (batch.length === 0) break;
+
+        for (const row of batch) {
+          await writer.write(row);
+        }
+        rows += batch.length;
+      }
+      await writer.close();
+
+    } catch (error) {
+      await writer.close().catch(() => {});
+      throw error;
+
+    } finally {
+      await cursor.close();
+      client.release();
+    }
+
+    if (options.since) {
+      await this.saveWatermark(options.since, options.entity, through, options.file, rows);
+    }
+
+    console.log(`✅ Exported ${rows} ${options.entity} rows to ${options.file}${watermark ? ` (changed since ${watermark.toISOString()})` : ''}`);
+    return { file: options.file, rows, through };
+  }
+
+  async getWatermark(name) {
+    const result = await this.db.query(
+      'SELECT exported_through FROM export_watermarks WHERE name = $1',
+      [name]
+    );
+    return result.rows[0] ? result.rows[0].exported_through : null;
+  }
+
+  async saveWatermark(name, entity, through, file, rows) {
+    await this.db.query(`
+      INSERT INTO export_watermarks (name, entity, exported_through, last_file, last_row_count, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      ON CONFLICT (name) DO UPDATE SET
+        entity = EXCLUDED.entity,
+        exported_through = EXCLUDED.exported_through,
+        last_file = EXCLUDED.last_file,
+        last_row_count = EXCLUDED.last_row_count,
+        updated_at = NOW()
+    `, [name, entity, through, file, rows]);
+  }
+
+  async listWatermarks() {
+    const result = await this.db.query('SELECT * FROM export_watermarks ORDER BY name');
+    return result.rows;
+  }
+}
+
+/**
+ * Helper: SELECT for an entity with its range, filter and watermark conditions.
+ * Only whitelisted column names ever reach the SQL text.
+ */
+function buildQuery(entity, { from, to, filters = {}, after, through }) {
+  const conditions = [];
+  const values = [];
+  const param = value => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (from) conditions.push(`${entity.time} >= ${param(from)}`);
+  if (to) conditions.push(`${entity.time} < ${param(to)}`);
+
+  for (const [column, value] of Object.entries(filters)) {
+    if (!entity.filters.includes(column)) {
+      throw new Error(`Can't filter ${entity.table} on "${column}" (allowed: ${entity.filters.join(', ')})`);
+    }
+    conditions.push(`${column}::TEXT = ${param(String(value))}`);
+  }
+
+  if (after) conditions.push(`${entity.changed} > ${param(after)}`);
+  if (through) conditions.push(`${entity.changed} <= ${param(through)}`);
+
+  return {
+    text: `SELECT * FROM ${entity.table}${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY ${entity.key}`,
+    values
+  };
+}
+
+/**
+ * Helper: { write(row), close() } for the chosen format
+ */
+async function openWriter(format, file, fields) {
+  if (format === 'parquet') {
+    const schema = new ParquetSchema(Object.fromEntries(fields.map(field => [
+      field.name,
+      { type: PARQUET_TYPES[field.dataTypeID] || 'UTF8', optional: true }
+    ])));
+    const writer = await ParquetWriter.openFile(schema, file);
+
+    return {
+      write: row => writer.appendRow(toParquetRow(row, fields)),
+      close: () => writer.close()
+    };
+  }
+
+  const stream = fs.createWriteStream(file);
+  const write = text => (stream.write(text) ? null : new Promise(resolve => stream.once('drain', resolve)));
+  const columns = fields.map(field => field.name);
+
+  if (format === 'csv') {
+    stream.write(columns.map(csvValue).join(',') + '\n');
+  }
+
+  return {
+    write: row => (format === 'csv'
+      ? write(columns.map(column => csvValue(row[column])).join(',') + '\n')
+      : write(JSON.stringify(row) + '\n')),
+    close: () => new Promise((resolve, reject) => {
+      stream.once('error', reject);
+      stream.end(resolve);
+    })
+  };
+}
+
+function toParquetRow(row, fields) {
+  const result = {};
+  for (const field of fields) {
+    const value = row[field.name];
+    const type = PARQUET_TYPES[field.dataTypeID] || 'UTF8';
+
+    if (value === null || value === undefined) {
+      result[field.name] = null;
+    } else if (type === 'DOUBLE') {
+      result[field.name] = Number(value);
+    } else if (type === 'UTF8' && typeof value !== 'string') {
+      // jsonb, arrays
+      result[field.name] = JSON.stringify(value);
+    } else {
+      result[field.name] = value;
+    }
+  }
+  return result;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { Exporter, ENTITIES, FORMATS, buildQuery, csvValue };
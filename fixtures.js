@@ -0,0 +1,185 @@
+// fixtures.js - Record the site's traffic to disk and replay it offline
+//
+//   FIXTURE_MODE=record  browse the live site and save every response + websocket frame
+//   FIXTURE_MODE=replay  serve only what was saved; anything else is blocked
+//
+// Fixtures are keyed by method + URL (fragment stripped, and VOLATILE_PARAMS
+// for socket.io requests)
+// under FIXTURES_DIR:
+//   http/<key>.json  { method, url, status, headers, body (base64) }
+//   ws/<key>.json    { url, frames: [{ offsetMs, payload }] }
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Re-encoding headers that no longer match the decoded body we store
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+// Query parameters of socket.io requests (/socket.io/) that differ on every
+// load: the polling cache busters and the session id
+const VOLATILE_PARAMS = ['t', 'sid', '_'];
+
+// Recorded gaps between websocket frames are replayed, but never longer than this
+const MAX_FRAME_GAP_MS = 1000;
+
+class FixtureStore {
+  constructor(directory, mode) {
+    this.directory = directory;
+    this.mode = mode;
+    this.sockets = new Map();
+    this.recorded = 0;
+    this.served = 0;
+    this.missed = 0;
+  }
+
+  /**
+   * Hook a Playwright page up for the configured mode
+   */
+  async attach(page) {
+    if (this.mode === 'record') {
+      fs.mkdirSync(path.join(this.directory, 'http'), { recursive: true });
+      fs.mkdirSync(path.join(this.directory, 'ws'), { recursive: true });
+      page.on('response', response => this.recordResponse(response));
+      page.on('websocket', ws => this.recordWebSocket(ws));
+      console.log(`📼 Recording fixtures to ${this.directory}`);
+    } else if (this.mode === 'replay') {
+      await page.route('**/*', route => this.replayRequest(route));
+      await page.routeWebSocket(() => true, ws => this.replayWebSocket(ws));
+      console.log(`📼 Replaying fixtures from ${this.directory}`);
+    }
+  }
+
+  async recordResponse(response) {
+    try {
+      const request = response.request();
+      const body = await response.body();
+
+      const headers = { ...response.headers() };
+      DROPPED_HEADERS.forEach(name => delete headers[name]);
+
+      this.write('http', fixtureKey(request.method(), request.url()), {
+        method: request.method(),
+        url: stripFragment(request.url()),
+        status: response.status(),
+        headers: headers,
+        body: body.toString('base64')
+      });
+      this.recorded++;
+    } catch (error) {
+      // Redirects and aborted requests have no body to keep
+    }
+  }
+
+  recordWebSocket(ws) {
+    const url = ws.url();
+    const socket = { url, openedAt: Date.now(), frames: [] };
+    this.sockets.set(url, socket);
+
+    ws.on('framereceived', frame => {
+      socket.frames.push({ offsetMs: Date.now() - socket.openedAt, payload: frame.payload.toString() });
+    });
+    ws.on('close', () => this.flushSocket(socket));
+  }
+
+  flushSocket(socket) {
+    if (socket.frames.length === 0) return;
+    this.write('ws', fixtureKey('WS', socket.url), { url: socket.url, frames: socket.frames });
+  }
+
+  /**
+   * Save websockets that are still open (call before shutdown)
+   */
+  flush() {
+    for (const socket of this.sockets.values()) {
+      this.flushSocket(socket);
+    }
+  }
+
+  async replayRequest(route) {
+    const request = route.request();
+    const fixture = this.read('http', fixtureKey(request.method(), request.url()));
+
+    if (!fixture) {
+      this.missed++;
+      console.warn(`📼 No fixture for ${request.method()} ${request.url()}`);
+      return route.abort('internetdisconnected');
+    }
+
+    this.served++;
+    return route.fulfill({
+      status: fixture.status,
+      headers: fixture.headers,
+      body: Buffer.from(fixture.body, 'base64')
+    });
+  }
+
+  async replayWebSocket(ws) {
+    const fixture = this.read('ws', fixtureKey('WS', ws.url()));
+    if (!fixture) {
+      this.missed++;
+      console.warn(`📼 No websocket fixture for ${ws.url()}`);
+      return ws.close();
+    }
+
+    // Client messages go nowhere; the recorded server frames play back in order
+    ws.onMessage(() => {});
+
+    this.served++;
+    let previousOffset = 0;
+
+    try {
+      for (const frame of fixture.frames) {
+        const gap = Math.min(frame.offsetMs - previousOffset, MAX_FRAME_GAP_MS);
+        previousOffset = frame.offsetMs;
+        if (gap > 0) await new Promise(resolve => setTimeout(resolve, gap));
+        ws.send(frame.payload);
+      }
+    } catch (error) {
+      // Page navigated away mid-playback
+    }
+  }
+
+  write(kind, key, data) {
+    fs.writeFileSync(path.join(this.directory, kind, `${key}.json`), JSON.stringify(data));
+  }
+
+  read(kind, key) {
+    const file = path.join(this.directory, kind, `${key}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+}
+
+/**
+ * Helper: URLs differing only in #fragment load the same resource
+ */
+function stripFragment(url) {
+  return url.split('#')[0];
+}
+
+/**
+ * Helper: The URL without the parts that change from one load to the next
+ * (socket.io polling parameters)
+ */
+function stableUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(stripFragment(url));
+  } catch (error) {
+    return stripFragment(url);
+  }
+
+  if (parsed.pathname.includes('/socket.io/')) {
+    VOLATILE_PARAMS.forEach(name => parsed.searchParams.delete(name));
+  }
+  return parsed.toString();
+}
+
+/**
+ * Helper: Stable file name for a method + URL
+ */
+function fixtureKey(method, url) {
+  return crypto.createHash('sha1').update(`${method} ${stableUrl(url)}`).digest('hex').slice(0, 20);
+}
+
+module.exports = { FixtureStore, fixtureKey };
@@ -0,0 +1,187 @@
+// frontier.js - Persistent crawl schedule for users and rooms
+//
+// Entities are picked in tiers: online now, then never fetched, then by a
+// score of how overdue they are weighted by audience size (followers for
+// users, current occupancy for rooms). Nothing is picked again before its
+// type's revisit interval has passed.
+
+// Failed fetches retry after 5, 10, 20... minutes, capped at the revisit interval
+const RETRY_BASE_MINUTES = 5;
+
+class CrawlFrontier {
+  /**
+   * options.revisitMinutes     - { user, room } minutes before an entity is due again
+   * options.deepRevisitMinutes - minutes before a user's relationship lists are re-scraped
+   * options.deepBudget         - most deep fetches handed out per next() call
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.revisitMinutes = { user: 360, room: 1440, ...options.revisitMinutes };
+    this.deepRevisitMinutes = options.deepRevisitMinutes || 1440;
+    this.deepBudget = options.deepBudget === undefined ? Infinity : options.deepBudget;
+  }
+
+  /**
+   * Add entities that aren't scheduled yet; existing rows are left alone
+   */
+  async enqueue(type, ids) {
+    if (!ids || ids.length === 0) return 0;
+
+    const query = `
+      INSERT INTO crawl_frontier (entity_type, entity_id)
+      SELECT $1, id FROM unnest($2::text[]) AS id
+      ON CONFLICT (entity_type, entity_id) DO NOTHING
+    `;
+
+    try {
+      const result = await this.db.query(query, [type, ids]);
+      return result.rowCount;
+    } catch (error) {
+      console.error(`Error enqueueing ${type}s:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Record who is online right now; everyone else of that type goes offline
+   */
+  async markOnline(type, ids) {
+    const query = `
+      WITH seen AS (
+        INSERT INTO crawl_frontier (entity_type, entity_id, is_online, last_seen_online)
+        SELECT $1, id, TRUE, NOW() FROM unnest($2::text[]) AS id
+        ON CONFLICT (entity_type, entity_id) DO UPDATE SET
+          is_online = TRUE,
+          last_seen_online = NOW()
+        RETURNING entity_id
+      )
+      UPDATE crawl_frontier
+      SET is_online = FALSE
+      WHERE entity_type = $1 AND is_online AND entity_id <> ALL($2::text[])
+    `;
+
+    try {
+      await this.db.query(query, [type, ids]);
+    } catch (error) {
+      console.error(`Error marking ${type}s online:`, error.message);
+    }
+  }
+
+  /**
+   * Pick the next `limit` due entities. Users come back with `deep` set when
+   * their relationship lists are due as well.
+   */
+  async next(type, limit) {
+    const query = `
+      SELECT
+        f.entity_id,
+        f.is_online,
+        f.last_fetched_at,
+        (f.last_deep_fetched_at IS NULL OR f.last_deep_fetched_at < NOW() - $4 * INTERVAL '1 minute') AS deep
+      FROM crawl_frontier f
+      LEFT JOIN users u ON f.entity_type = 'user' AND u.user_id = f.entity_id
+      LEFT JOIN rooms r ON f.entity_type = 'room' AND r.room_id = f.entity_id
+      WHERE f.entity_type = $1 AND f.next_fetch_at <= NOW()
+      ORDER BY
+        f.is_online DESC,
+        (f.last_fetched_at IS NULL) DESC,
+        COALESCE(EXTRACT(EPOCH FROM NOW() - f.last_fetched_at) / 60 / $3, 1)
+          * (1 + LN(1 + GREATEST(COALESCE(u.followers_count, r.current_users_count, 0), 0))) DESC,
+        f.discovered_at ASC
+      LIMIT $2
+    `;
+
+    try {
+      const result = await this.db.query(query, [type, limit, this.revisitMinutes[type], this.deepRevisitMinutes]);
+
+      // Highest-priority users get the deep fetches; the rest stay due for next time
+      let deepLeft = this.deepBudget;
+      return result.rows.map(row => {
+        const deep = type === 'user' && row.deep && deepLeft > 0;
+        if (deep) deepLeft--;
+        return {
+          id: row.entity_id,
+          isOnline: row.is_online,
+          lastFetchedAt: row.last_fetched_at,
+          deep: deep
+        };
+      });
+    } catch (error) {
+      console.error(`Error reading ${type} frontier:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Record successful fetches and schedule the next visit
+   */
+  async markFetched(type, ids, { deep = false } = {}) {
+    if (!ids || ids.length === 0) return;
+
+    const query = `
+      INSERT INTO crawl_frontier (
+        entity_type, entity_id, last_fetched_at, last_deep_fetched_at, next_fetch_at, fetch_count
+      )
+      SELECT $1, id, NOW(), CASE WHEN $3 THEN NOW() END, NOW() + $4 * INTERVAL '1 minute', 1
+      FROM unnest($2::text[]) AS id
+      ON CONFLICT (entity_type, entity_id) DO UPDATE SET
+        last_fetched_at = NOW(),
+        last_deep_fetched_at = COALESCE(EXCLUDED.last_deep_fetched_at, crawl_frontier.last_deep_fetched_at),
+        next_fetch_at = EXCLUDED.next_fetch_at,
+        fetch_count = crawl_frontier.fetch_count + 1,
+        failure_count = 0,
+        last_error = NULL
+    `;
+
+    try {
+      await this.db.query(query, [type, ids, deep, this.revisitMinutes[type]]);
+    } catch (error) {
+      console.error(`Error marking ${type}s fetched:`, error.message);
+    }
+  }
+
+  /**
+   * Record a failed fetch and back off before retrying
+   */
+  async markFailed(type, id, message) {
+    const query = `
+      UPDATE crawl_frontier
+      SET failure_count = failure_count + 1,
+          last_error = $3,
+          next_fetch_at = NOW() + LEAST($4 * POWER(2, failure_count), $5) * INTERVAL '1 minute'
+      WHERE entity_type = $1 AND entity_id = $2
+    `;
+
+    try {
+      await this.db.query(query, [type, id, message, RETRY_BASE_MINUTES, this.revisitMinutes[type]]);
+    } catch (error) {
+      console.error(`Error marking ${type} ${id} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Counts per type for the iteration summary
+   */
+  async stats() {
+    const query = `
+      SELECT
+        entity_type,
+        COUNT(*)::INTEGER AS total,
+        COUNT(*) FILTER (WHERE next_fetch_at <= NOW())::INTEGER AS due,
+        COUNT(*) FILTER (WHERE last_fetched_at IS NULL)::INTEGER AS never_fetched,
+        COUNT(*) FILTER (WHERE is_online)::INTEGER AS online
+      FROM crawl_frontier
+      GROUP BY entity_type
+    `;
+
+    try {
+      const result = await this.db.query(query);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting frontier stats:', error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = CrawlFrontier;
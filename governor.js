@@ -0,0 +1,232 @@
+// governor.js - One gate for every page navigation
+//
+// A token bucket paces requests (burst, then ratePerMinute). Responses are
+// reported back: HTTP 429, 5xx and Cloudflare-style challenge pages pause all
+// requests with exponential backoff plus jitter (429s honour Retry-After),
+// and a daily budget stops crawling until the next UTC day.
+const { metrics } = require('./metrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Titles/markers of interstitial "checking your browser" pages
+const CHALLENGE_TITLES = [/just a moment/i, /attention required/i, /checking your browser/i, /ddos-guard/i];
+
+class RequestBudgetError extends Error {
+  constructor(resetsAt) {
+    super(`Daily request budget used up until ${resetsAt.toISOString()}`);
+    this.name = 'RequestBudgetError';
+    this.resetsAt = resetsAt;
+  }
+}
+
+class RequestGovernor {
+  /**
+   * options.ratePerMinute - sustained navigations per minute
+   * options.burst         - tokens the bucket holds (requests allowed back to back)
+   * options.backoffBaseMs - first backoff after a bad response, doubled each time after
+   * options.backoffMaxMs  - longest backoff
+   * options.dailyBudget   - navigations per UTC day (0 = unlimited)
+   */
+  constructor(options) {
+    this.ratePerMinute = options.ratePerMinute;
+    this.burst = options.burst;
+    this.backoffBaseMs = options.backoffBaseMs;
+    this.backoffMaxMs = options.backoffMaxMs;
+    this.dailyBudget = options.dailyBudget;
+
+    this.tokens = this.burst;
+    this.refilledAt = Date.now();
+    this.queue = Promise.resolve();
+
+    this.blockedUntil = 0;
+    this.consecutiveFailures = 0;
+    this.lastProblem = null;
+
+    this.budgetDay = utcDay(Date.now());
+    this.budgetUsed = 0;
+    this.outcomes = {};
+  }
+
+  /**
+   * Wait until a request may go out. Callers are served in order; throws
+   * RequestBudgetError once the daily budget is spent.
+   */
+  acquire() {
+    const turn = this.queue.then(() => this.waitForTurn());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitForTurn() {
+    while (true) {
+      this.rollBudgetDay();
+      if (this.budgetExhausted()) {
+        throw new RequestBudgetError(this.budgetResetsAt());
+      }
+
+      const now = Date.now();
+      this.refill(now);
+
+      const blockedFor = this.blockedUntil - now;
+      const tokenIn = this.tokens >= 1 ? 0 : (1 - this.tokens) * 60000 / this.ratePerMinute;
+      const wait = Math.max(blockedFor, tokenIn);
+
+      if (wait <= 0) {
+        this.tokens -= 1;
+        this.budgetUsed++;
+        this.updateGauges();
+        return;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, Math.ceil(wait)));
+    }
+  }
+
+  refill(now) {
+    const elapsed = now - this.refilledAt;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.ratePerMinute / 60000);
+    this.refilledAt = now;
+  }
+
+  /**
+   * Feed back how a navigation went. `response` is Playwright's (may be null),
+   * `title` the page title, used to spot challenge pages. Returns the outcome.
+   */
+  report(response, title = '') {
+    const status = response ? response.status() : null;
+    const headers = response ? response.headers() : {};
+
+    let outcome = 'ok';
+    if (isChallenge(status, headers, title)) {
+      outcome = 'challenge';
+    } else if (status === 429) {
+      outcome = 'rate_limited';
+    } else if (status >= 500) {
+      outcome = 'server_error';
+    }
+
+    this.outcomes[outcome] = (this.outcomes[outcome] || 0) + 1;
+    metrics.governorRequests.inc({ outcome });
+
+    if (outcome === 'ok') {
+      this.consecutiveFailures = 0;
+    } else {
+      const retryAfter = outcome === 'rate_limited' ? parseRetryAfter(headers['retry-after']) : null;
+      this.backOff(`${outcome}${status ? ` (HTTP ${status})` : ''}`, retryAfter);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Navigation threw. Connection errors back off like a server error; a
+   * timeout is one slow page, not a reason to pause every worker.
+   */
+  reportError(error) {
+    const outcome = error.name === 'TimeoutError' ? 'timeout' : 'network_error';
+    this.outcomes[outcome] = (this.outcomes[outcome] || 0) + 1;
+    metrics.governorRequests.inc({ outcome });
+
+    if (outcome === 'network_error') {
+      this.backOff(`network_error (${error.message.split('\n')[0]})`);
+    }
+  }
+
+  backOff(reason, minimumMs = null) {
+    this.consecutiveFailures++;
+    const delay = Math.max(backoffDelay(this.consecutiveFailures, this.backoffBaseMs, this.backoffMaxMs), minimumMs || 0);
+
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + delay);
+    this.lastProblem = { reason, at: new Date() };
+    this.updateGauges();
+    console.warn(`🚦 ${reason} - pausing requests for ${Math.round(delay / 1000)}s (failure ${this.consecutiveFailures} in a row)`);
+  }
+
+  rollBudgetDay() {
+    const today = utcDay(Date.now());
+    if (today !== this.budgetDay) {
+      this.budgetDay = today;
+      this.budgetUsed = 0;
+    }
+  }
+
+  budgetExhausted() {
+    this.rollBudgetDay();
+    return this.dailyBudget > 0 && this.budgetUsed >= this.dailyBudget;
+  }
+
+  budgetResetsAt() {
+    return new Date(this.budgetDay + DAY_MS);
+  }
+
+  updateGauges() {
+    metrics.governorTokens.set(Math.round(this.tokens * 100) / 100);
+    metrics.governorBackoffSeconds.set(Math.max(0, Math.round((this.blockedUntil - Date.now()) / 1000)));
+    if (this.dailyBudget > 0) {
+      metrics.governorBudgetRemaining.set(this.dailyBudget - this.budgetUsed);
+    }
+  }
+
+  /**
+   * Current pacing, backoff and budget for status output and the API
+   */
+  state() {
+    const now = Date.now();
+    this.refill(now);
+    this.rollBudgetDay();
+
+    return {
+      tokens: Math.round(this.tokens * 100) / 100,
+      burst: this.burst,
+      ratePerMinute: this.ratePerMinute,
+      backoff: {
+        active: this.blockedUntil > now,
+        until: this.blockedUntil > now ? new Date(this.blockedUntil) : null,
+        consecutiveFailures: this.consecutiveFailures,
+        lastProblem: this.lastProblem
+      },
+      budget: {
+        limit: this.dailyBudget || null,
+        used: this.budgetUsed,
+        remaining: this.dailyBudget > 0 ? Math.max(this.dailyBudget - this.budgetUsed, 0) : null,
+        resetsAt: this.budgetResetsAt()
+      },
+      outcomes: { ...this.outcomes }
+    };
+  }
+}
+
+/**
+ * Helper: base * 2^(attempt-1), capped, with "equal jitter" (half fixed, half random)
+ */
+function backoffDelay(attempt, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** Math.max(attempt - 1, 0));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Helper: Cloudflare marks challenges with cf-mitigated; otherwise go by the
+ * interstitial's title, or a 403/503 straight from a cloudflare server
+ */
+function isChallenge(status, headers, title) {
+  if (headers['cf-mitigated'] === 'challenge') return true;
+  if (CHALLENGE_TITLES.some(pattern => pattern.test(title || ''))) return true;
+  return (status === 403 || status === 503) && /cloudflare/i.test(headers.server || '');
+}
+
+/**
+ * Helper: Retry-After is seconds or an HTTP date
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function utcDay(time) {
+  return Math.floor(time / DAY_MS) * DAY_MS;
+}
+
+module.exports = { RequestGovernor, RequestBudgetError, backoffDelay, isChallenge };
@@ -0,0 +1,80 @@
+// growth.js - Follower history and spike detection
+const config = require('./config');
+const { metrics } = require('./metrics');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class GrowthMonitor {
+  /**
+   * options.minGain        - ignore jumps smaller than this many followers
+   * options.rateMultiplier - a spike is this many times the user's usual hourly rate
+   * options.baselineDays   - history used to work out the usual rate
+   */
+  constructor(db, options = config.growth) {
+    this.db = db;
+    this.minGain = options.minGain;
+    this.rateMultiplier = options.rateMultiplier;
+    this.baselineDays = options.baselineDays;
+  }
+
+  /**
+   * Store the counts from a profile scrape and check for a follower spike.
+   * Returns { previous, current, spike } (previous is null on the first scrape).
+   */
+  async record(userData) {
+    const change = await this.db.recordUserMetrics(userData.username, userData);
+    if (!change) return null;
+    if (!change.previous) return { ...change, spike: null };
+
+    const spike = await this.detectSpike(userData.username, change.previous, change.current);
+    return { ...change, spike };
+  }
+
+  /**
+   * Compare the gain since the previous scrape with the user's usual rate.
+   * Logs a `follower_spike` activity and returns its details when it fires.
+   */
+  async detectSpike(username, previous, current) {
+    const gain = current.followers_count - previous.followers_count;
+    if (gain < this.minGain) return null;
+
+    const previousAt = new Date(previous.recorded_at);
+    const currentAt = new Date(current.recorded_at);
+    const hours = Math.max((currentAt - previousAt) / HOUR_MS, 1 / 60);
+    const ratePerHour = gain / hours;
+
+    // Usual rate from the history leading up to the previous scrape
+    const baseline = await this.db.getFollowerChange(
+      username,
+      new Date(previousAt.getTime() - this.baselineDays * 24 * HOUR_MS),
+      previousAt
+    );
+    const baselineRatePerHour = baseline && baseline.hours > 0
+      ? Math.max(baseline.gain, 0) / baseline.hours
+      : 0;
+
+    if (baselineRatePerHour > 0 && ratePerHour < baselineRatePerHour * this.rateMultiplier) {
+      return null;
+    }
+
+    const spike = {
+      previousFollowers: previous.followers_count,
+      currentFollowers: current.followers_count,
+      gain: gain,
+      hours: round(hours),
+      ratePerHour: round(ratePerHour),
+      baselineRatePerHour: round(baselineRatePerHour)
+    };
+
+    console.log(`🚀 Follower spike: ${username} +${gain} in ${spike.hours}h (usual ${spike.baselineRatePerHour}/h)`);
+    metrics.followerSpikes.inc();
+    await this.db.logUserActivity(username, 'follower_spike', spike);
+    return spike;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = GrowthMonitor;
@@ -1,252 +1,271 @@
-// index.js - FIXED VERSION
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-
-const { chromium } = require('playwright');
-const Database = require('./db');
-const Free4TalkTracker = require('./tracker');
-const { parseHomepage } = require('./parser');
-const config = require('./config');
-
-class Free4TalkScraper {
-  constructor() {
-    this.browser = null;
-    this.page = null;
-    this.db = null;
-    this.tracker = null;
-  }
+// index.js - Command line entry point
+//
+//   node index.js [run]                        track continuously (default)
+//   node index.js once                         one iteration, exit 0 on success / 1 on failure
+//   node index.js profile <username> [--deep]  scrape and store a single profile
+//   node index.js room <roomId>                scrape and store a single room
+//   node index.js stats                        database and frontier counts
+//   node index.js export [entity] [options]    users/rooms/... as CSV, JSON lines or Parquet
+//   node index.js migrate [up|down|status]     schema migrations
+
+// Bad settings should read as a list of problems, not a stack trace
+try {
+  require('./config');
+} catch (error) {
+  if (error.name !== 'ConfigError') throw error;
+  console.error(`💥 ${error.message}`);
+  process.exit(1);
+}
 
-  async initialize() {
-    console.log('🚀 Initializing Free4Talk Tracker...');
-
-    // Initialize database
-    this.db = new Database();
-    await this.db.connect();
-
-    // Launch browser
-    const browser = await chromium.launch({
-      headless: config.HEADLESS,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu'
-      ]
-    });
+const Free4TalkScraper = require('./scraper');
+const { ENTITIES, FORMATS, Exporter } = require('./exporter');
+
+const USAGE = `Usage: node index.js <command>
+
+  run                        track continuously (default)
+  once                       run one iteration and exit
+  profile <username> [--deep]
+  room <roomId>
+  stats
+  export [${Object.keys(ENTITIES).join('|')}|watermarks]
+         [--format ${FORMATS.join('|')}] [--out file] [--from date] [--to date]
+         [--where column=value]... [--since-last [name]] [--batch-size n]
+  migrate [up|down|status]`;
+
+/**
+ * Continuous tracking until SIGINT/SIGTERM
+ */
+async function run() {
+  const scraper = new Free4TalkScraper();
 
-    this.page = await this.browser.newPage();
+  // Handle graceful shutdown
+  process.on('SIGINT', () => scraper.shutdown());
+  process.on('SIGTERM', () => scraper.shutdown());
+
+  try {
+    await scraper.initialize();
+    await scraper.startTracking();
+  } catch (error) {
+    console.error('\n💥 FATAL ERROR:', error);
+    console.error(error.stack);
+    await scraper.shutdown(1);
+  }
+}
 
-    // Set viewport
-    await this.page.setViewport({ width: 1920, height: 1080 });
+/**
+ * Single iteration - the exit code says whether it tracked anything
+ */
+async function once() {
+  const scraper = new Free4TalkScraper();
 
-    // Set user agent
-    await this.page.setUserAgent(
-      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    );
+  try {
+    await scraper.initialize({ api: false });
+    const result = await scraper.runIteration();
+    return result.ok ? 0 : 1;
 
-    // Initialize tracker
-    this.tracker = new Free4TalkTracker(this.page, this.db);
+  } catch (error) {
+    console.error('❌ Iteration failed:', error.message);
+    return 1;
 
-    console.log('✅ Initialization complete');
+  } finally {
+    await scraper.close();
   }
+}
 
-  /**
-   * FIXED: Multi-level discovery strategy
-   */
-  async startTracking() {
-    console.log('\n' + '='.repeat(80));
-    console.log('🚀 STARTING FREE4TALK COMPREHENSIVE TRACKING');
-    console.log('='.repeat(80));
-
-    let iteration = 0;
-
-    while (true) {
-      try {
-        iteration++;
-        const startTime = Date.now();
-
-        console.log('\n' + '━'.repeat(80));
-        console.log(`📊 ITERATION ${iteration} - ${new Date().toISOString()}`);
-        console.log('━'.repeat(80));
-
-        // Reset tracking sets for new iteration
-        this.tracker.resetTracking();
-
-        // LEVEL 1: Scrape homepage for initial discovery
-        console.log('\n📍 LEVEL 1: Homepage Discovery');
-        console.log('-'.repeat(80));
-        const homepageUsers = await this.scrapeHomepage();
-        console.log(`✅ Discovered ${homepageUsers.length} users from homepage`);
-
-        // LEVEL 2: Discover users from rooms
-        console.log('\n📍 LEVEL 2: Room Participant Discovery');
-        console.log('-'.repeat(80));
-        const roomUsers = await this.tracker.discoverUsersFromRooms();
-        console.log(`✅ Discovered ${roomUsers.length} users from rooms`);
-
-        // Combine all discovered users
-        const allDiscoveredUsers = new Set([...homepageUsers, ...roomUsers]);
-        console.log(`\n📊 Total unique users discovered: ${allDiscoveredUsers.size}`);
-
-        // LEVEL 3: Deep profile tracking
-        console.log('\n📍 LEVEL 3: Deep Profile Tracking');
-        console.log('-'.repeat(80));
-
-        let tracked = 0;
-        let failed = 0;
-
-        for (const username of allDiscoveredUsers) {
-          try {
-            // Track profile with deep=true for first 20 users (to get relationships)
-            const deep = tracked < 20;
-            const user = await this.tracker.trackUserProfile(username, deep);
-
-            if (user) {
-              tracked++;
-              console.log(`  [${tracked}/${allDiscoveredUsers.size}] ✅ ${username}`);
-            } else {
-              failed++;
-              console.log(`  [${tracked + failed}/${allDiscoveredUsers.size}] ❌ ${username}`);
-            }
-
-            // Rate limiting
-            await this.sleep(config.RATE_LIMIT_MS || 2000);
-
-          } catch (error) {
-            failed++;
-            console.error(`  [${tracked + failed}/${allDiscoveredUsers.size}] ❌ ${username}: ${error.message}`);
-          }
-        }
-
-        // Get statistics
-        const stats = await this.db.getStats();
-        const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
-
-        console.log('\n' + '━'.repeat(80));
-        console.log('📊 ITERATION SUMMARY');
-        console.log('━'.repeat(80));
-        console.log(`✅ Successfully tracked: ${tracked} users`);
-        console.log(`❌ Failed: ${failed} users`);
-        console.log(`⏱️  Time elapsed: ${elapsed} minutes`);
-        console.log('\n📈 DATABASE STATISTICS:');
-        console.log(`   👤 Total users: ${stats.user_count}`);
-        console.log(`   🏠 Total rooms: ${stats.room_count}`);
-        console.log(`   📝 Total sessions: ${stats.session_count}`);
-        console.log(`   🔗 Total relationships: ${stats.relationship_count}`);
-        console.log(`   👥 Active participants: ${stats.active_participant_count}`);
-        console.log('━'.repeat(80));
-
-        // Wait before next iteration
-        console.log(`\n⏳ Waiting ${config.SCRAPE_INTERVAL / 1000 / 60} minutes until next iteration...`);
-        await this.sleep(config.SCRAPE_INTERVAL);
-
-      } catch (error) {
-        console.error('\n❌ ERROR IN TRACKING LOOP:', error);
-        console.error(error.stack);
-
-        // Wait before retrying
-        console.log('⏳ Waiting 60 seconds before retry...');
-        await this.sleep(60000);
-      }
+async function profile(username, deep) {
+  if (!username) throw new Error('profile needs a username');
+
+  const scraper = new Free4TalkScraper();
+
+  try {
+    await scraper.initialize({ api: false, pool: false });
+    const userData = await scraper.tracker.trackUserProfile(username, deep);
+    if (!userData) {
+      console.error(`❌ No profile data for ${username}`);
+      return 1;
     }
-  }
 
-  /**
-   * Scrape homepage for initial user discovery
-   */
-  async scrapeHomepage() {
-    try {
-      console.log('  🌐 Navigating to Free4Talk homepage...');
-
-      await this.page.goto('https://free4talk.com', {
-        waitUntil: 'networkidle2',
-        timeout: 30000
-      });
-
-      await this.sleep(2000);
-
-      // Get page HTML
-      const html = await this.page.content();
-
-      // Parse homepage
-      const { users, rooms } = parseHomepage(html);
-
-      console.log(`  📊 Parsed: ${users.length} users, ${rooms.length} rooms`);
-
-      // Store basic user info from homepage
-      for (const user of users) {
-        await this.db.upsertUser({
-          username: user.username,
-          displayName: user.displayName,
-          avatarUrl: user.avatarUrl,
-          followerCount: 0,
-          followingCount: 0,
-          friendsCount: 0
-        });
-      }
+    console.log(JSON.stringify(userData, null, 2));
+    return 0;
 
-      // Store rooms from homepage
-      for (const room of rooms) {
-        await this.db.upsertRoom({
-          roomId: room.roomId,
-          roomName: room.roomName,
-          topic: room.topic,
-          language: room.language,
-          isPublic: room.isPublic,
-          participantCount: room.participantCount
-        });
-      }
+  } finally {
+    await scraper.close();
+  }
+}
 
-      return users.map(u => u.username);
+async function room(roomId) {
+  if (!roomId) throw new Error('room needs a room id');
 
-    } catch (error) {
-      console.error('  ❌ Error scraping homepage:', error.message);
-      return [];
+  const scraper = new Free4TalkScraper();
+
+  try {
+    await scraper.initialize({ api: false, pool: false });
+    const roomData = await scraper.tracker.trackRoom(roomId);
+    if (!roomData) {
+      console.error(`❌ No room data for ${roomId}`);
+      return 1;
     }
-  }
 
-  /**
-   * Helper: Sleep for ms
-   */
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    console.log(JSON.stringify(roomData, null, 2));
+    return 0;
+
+  } finally {
+    await scraper.close();
   }
+}
 
-  /**
-   * Graceful shutdown
-   */
-  async shutdown() {
-    console.log('\n🛑 Shutting down...');
+/**
+ * Database counts only - no browser
+ */
+async function stats() {
+  const scraper = new Free4TalkScraper();
 
-    if (this.browser) {
-      await this.browser.close();
-      console.log('✅ Browser closed');
+  try {
+    await scraper.connectDatabase();
+    const counts = await scraper.db.getStats();
+    if (!counts) return 1;
+
+    console.log('\n📈 DATABASE STATISTICS:');
+    console.log(`   👤 Total users: ${counts.user_count}`);
+    console.log(`   🏠 Total rooms: ${counts.room_count}`);
+    console.log(`   📝 Total sessions: ${counts.session_count}`);
+    console.log(`   🔗 Total relationships: ${counts.relationship_count}`);
+    console.log(`   👥 Active participants: ${counts.active_participant_count}`);
+    for (const row of await scraper.frontier.stats()) {
+      console.log(`   🧭 Frontier ${row.entity_type}s: ${row.total} known, ${row.due} due, ${row.never_fetched} never fetched, ${row.online} online`);
     }
+    return 0;
 
-    if (this.db) {
-      await this.db.close();
-      console.log('✅ Database connection closed');
+  } finally {
+    await scraper.close();
+  }
+}
+
+/**
+ * Stream an entity to a file, or list the incremental-export watermarks
+ */
+async function exportEntity(entity, options) {
+  const scraper = new Free4TalkScraper();
+
+  try {
+    await scraper.connectDatabase();
+    const exporter = new Exporter(scraper.db);
+
+    if (entity === 'watermarks') {
+      for (const mark of await exporter.listWatermarks()) {
+        console.log(`   🔖 ${mark.name} (${mark.entity}): through ${mark.exported_through.toISOString()}, last ${mark.last_row_count} rows to ${mark.last_file}`);
+      }
+      return 0;
     }
 
-    console.log('👋 Goodbye!');
-    process.exit(0);
+    const format = options.format || 'jsonl';
+    await exporter.export({
+      ...options,
+      entity,
+      format,
+      file: options.file || `${entity}-${new Date().toISOString().slice(0, 10)}.${format}`
+    });
+    return 0;
+
+  } finally {
+    await scraper.close();
   }
 }
 
-// Main execution
-(async () => {
-  const scraper = new Free4TalkScraper();
+/**
+ * `export` flags -> Exporter options
+ */
+function exportOptions(args) {
+  const options = {
+    format: takeOption(args, '--format'),
+    file: takeOption(args, '--out'),
+    from: parseDate(takeOption(args, '--from'), '--from'),
+    to: parseDate(takeOption(args, '--to'), '--to'),
+    filters: {}
+  };
+
+  let where;
+  while ((where = takeOption(args, '--where')) !== null) {
+    const [column, ...value] = where.split('=');
+    if (!value.length) throw new Error(`--where expects column=value, got "${where}"`);
+    options.filters[column] = value.join('=');
+  }
 
-  // Handle shutdown signals
-  process.on('SIGINT', () => scraper.shutdown());
-  process.on('SIGTERM', () => scraper.shutdown());
+  const batchSize = takeOption(args, '--batch-size');
+  if (batchSize !== null) {
+    options.batchSize = parseInt(batchSize, 10);
+    if (!(options.batchSize > 0)) throw new Error(`--batch-size must be a positive integer, got "${batchSize}"`);
+  }
 
-  try {
-    await scraper.initialize();
-    await scraper.startTracking();
-  } catch (error) {
-    console.error('\n💥 FATAL ERROR:', error);
-    console.error(error.stack);
-    await scraper.shutdown();
+  // --since-last [name]: the watermark name defaults to the entity
+  const sinceIndex = args.indexOf('--since-last');
+  if (sinceIndex !== -1) {
+    const name = args[sinceIndex + 1];
+    const named = name !== undefined && !name.startsWith('--') && sinceIndex > 0;
+    args.splice(sinceIndex, named ? 2 : 1);
+    options.since = named ? name : (args[0] || 'users');
+  }
+
+  return options;
+}
+
+function parseDate(value, flag) {
+  if (value === null) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`${flag} expects a date, got "${value}"`);
+  return date;
+}
+
+/**
+ * Pull `--name value` out of the argument list
+ */
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return null;
+  const [, value] = args.splice(index, 2);
+  return value;
+}
+
+async function main(argv) {
+  // `--once` was the old test script's flag
+  const args = argv.map(arg => (arg === '--once' ? 'once' : arg));
+  const [command = 'run', ...rest] = args;
+
+  switch (command) {
+    case 'run':
+      return run();
+    case 'once':
+      return once();
+    case 'profile':
+      return profile(rest.find(arg => !arg.startsWith('--')), rest.includes('--deep'));
+    case 'room':
+      return room(rest[0]);
+    case 'stats':
+      return stats();
+    case 'export': {
+      const options = exportOptions(rest);
+      return exportEntity(rest[0] || 'users', options);
+    }
+    case 'migrate':
+      await require('./migrate').main(rest);
+      return 0;
+    case 'help':
+    case '--help':
+      console.log(USAGE);
+      return 0;
+    default:
+      console.error(`Unknown command "${command}"\n\n${USAGE}`);
+      return 1;
   }
-})();
\ No newline at end of file
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code || 0))
+    .catch(error => {
+      console.error('💥 Fatal error:', error.message);
+      process.exit(1);
+    });
+}
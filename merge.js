@@ -0,0 +1,268 @@
+// merge.js - Field-level merge for user and room rows observed on different pages
+//
+// A user turns up on their own profile, on room cards and in other people's
+// follower lists, and each page shows a different slice of their data. Every
+// write carries a `source`; only the fields that source actually observed
+// (not undefined/null) are written, and users.field_provenance records which
+// source set each column and when. A stored value is only replaced by one from
+// an equally or more trusted source, or once it's older than staleDays.
+//
+// Rooms are simpler: the latest observation of a field wins, and every change
+// to a room's settings is written to room_changes.
+const config = require('./config');
+
+// How far each page type is trusted. `legacy` marks values stored before
+// provenance was tracked (see migration 008).
+const SOURCE_RANK = {
+  profile: 3,
+  homepage: 2,
+  room: 2,
+  legacy: 2,
+  relationship_list: 1
+};
+
+// users column <- userData field; `fallback` is what a new row gets when the
+// field wasn't observed
+const USER_FIELDS = [
+  { column: 'username', field: 'displayName', fallback: 'v.user_id' },
+  { column: 'user_avatar', field: 'avatarUrl' },
+  { column: 'bio', field: 'bio' },
+  { column: 'followers_count', field: 'followerCount', cast: 'int', fallback: '0' },
+  { column: 'following_count', field: 'followingCount', cast: 'int', fallback: '0' },
+  { column: 'friends_count', field: 'friendsCount', cast: 'int', fallback: '0' },
+  { column: 'gender', field: 'gender' },
+  { column: 'languages', field: 'languages', cast: 'text[]', fallback: "'{}'" },
+  { column: 'interests', field: 'interests', cast: 'text[]', fallback: "'{}'" },
+  { column: 'supporter_level', field: 'supporterLevel', cast: 'int', fallback: '0' },
+  { column: 'verification_status', field: 'verificationStatus', fallback: "'UNVERIFIED'" }
+];
+
+/**
+ * Columns a write actually observed
+ */
+function observedColumns(userData) {
+  return USER_FIELDS
+    .filter(({ field }) => userData[field] !== undefined && userData[field] !== null)
+    .map(({ column }) => column);
+}
+
+function sourceRank(source) {
+  const rank = SOURCE_RANK[source];
+  if (rank === undefined) {
+    throw new Error(`Unknown user data source "${source}" (expected ${Object.keys(SOURCE_RANK).join(', ')})`);
+  }
+  return rank;
+}
+
+/**
+ * Source a row's field came from: `fieldSources` of a merged row, else its `source`
+ */
+function fieldSource(row, field) {
+  return (row.fieldSources && row.fieldSources[field]) || row.source;
+}
+
+/**
+ * Combine two not-yet-written observations of one user: field by field the
+ * more trusted (or, on a tie, the later) one wins and the other fills gaps.
+ * `fieldSources` remembers where each field came from, so its provenance
+ * is that page's and not the merged row's `source`.
+ */
+function mergeObservations(earlier, later) {
+  const laterWins = sourceRank(later.source) >= sourceRank(earlier.source);
+  const merged = { ...earlier, ...later, source: laterWins ? later.source : earlier.source, fieldSources: {} };
+
+  for (const { field } of USER_FIELDS) {
+    const inEarlier = earlier[field] !== undefined && earlier[field] !== null;
+    const inLater = later[field] !== undefined && later[field] !== null;
+    if (!inEarlier && !inLater) continue;
+
+    const from = inLater && (!inEarlier || sourceRank(fieldSource(later, field)) >= sourceRank(fieldSource(earlier, field)))
+      ? later
+      : earlier;
+
+    merged[field] = from[field];
+    merged.fieldSources[field] = fieldSource(from, field);
+  }
+  return merged;
+}
+
+/**
+ * Provenance of the columns a write observed: { column: { source, rank } }
+ */
+function observedProvenance(userData) {
+  const observed = new Set(observedColumns(userData));
+  return Object.fromEntries(USER_FIELDS
+    .filter(({ column }) => observed.has(column))
+    .map(({ column, field }) => {
+      const source = fieldSource(userData, field);
+      return [column, { source, rank: sourceRank(source) }];
+    }));
+}
+
+/**
+ * Multi-row merging upsert for users: { text, values }.
+ * Each row needs `username` and `source` (and `fieldSources` once merged).
+ */
+function userUpsertStatement(rows, { returning = false } = {}) {
+  const values = [];
+  const param = (value, cast) => {
+    values.push(value);
+    return `$${values.length}${cast ? `::${cast}` : ''}`;
+  };
+
+  const tuples = rows.map(user => `(${[
+    param(user.username),
+    param(JSON.stringify(observedProvenance(user)), 'jsonb'),
+    ...USER_FIELDS.map(({ field, cast }) => param(user[field] ?? null, cast))
+  ].join(', ')})`);
+
+  const columns = USER_FIELDS.map(({ column }) => column);
+  const wins = column => `(
+            EXCLUDED.field_provenance ? '${column}' AND (
+              NOT users.field_provenance ? '${column}'
+              OR (EXCLUDED.field_provenance->'${column}'->>'rank')::INT >= (users.field_provenance->'${column}'->>'rank')::INT
+              OR (users.field_provenance->'${column}'->>'at')::TIMESTAMP < NOW() - INTERVAL '1 day' * ${config.merge.staleDays}
+            )
+          )`;
+
+  const text = `
+    WITH v (user_id, provenance, ${columns.join(', ')}) AS (
+      VALUES ${tuples.join(', ')}
+    )
+    INSERT INTO users (user_id, ${columns.join(', ')}, last_seen, field_provenance)
+    SELECT
+      v.user_id,
+      ${USER_FIELDS.map(({ column, fallback }) => (fallback ? `COALESCE(v.${column}, ${fallback})` : `v.${column}`)).join(',\n      ')},
+      NOW(),
+      (
+        SELECT COALESCE(jsonb_object_agg(col, seen || jsonb_build_object('at', NOW()::TIMESTAMP)), '{}')
+        FROM jsonb_each(v.provenance) AS p (col, seen)
+      )
+    FROM v
+    ON CONFLICT (user_id) DO UPDATE SET
+      ${columns.map(column => `${column} = CASE WHEN ${wins(column)} THEN EXCLUDED.${column} ELSE users.${column} END`).join(',\n      ')},
+      field_provenance = users.field_provenance || jsonb_strip_nulls(jsonb_build_object(
+        ${columns.map(column => `'${column}', CASE WHEN ${wins(column)} THEN EXCLUDED.field_provenance->'${column}' END`).join(',\n        ')}
+      )),
+      last_seen = NOW(),
+      updated_at = NOW()
+    ${returning ? 'RETURNING *, (xmax = 0) AS inserted' : ''}
+  `;
+
+  return { text, values };
+}
+
+// rooms column <- roomData field; `fallback` is what a new row gets when the
+// field wasn't observed (settings without one stay NULL until a page shows
+// them). `history: false` columns follow occupancy (room_snapshots has
+// that), so their changes aren't logged.
+const ROOM_FIELDS = [
+  { column: 'room_name', field: 'roomName' },
+  { column: 'topic', field: 'topic' },
+  { column: 'language', field: 'language', fallback: "'Unknown'" },
+  { column: 'second_language', field: 'secondLanguage' },
+  { column: 'skill_level', field: 'level', fallback: "'Any Level'" },
+  { column: 'channel', field: 'channel', fallback: "'free4talk'" },
+  { column: 'platform', field: 'platform', fallback: "'Free4Talk'" },
+  { column: 'max_capacity', field: 'maxCapacity', cast: 'int' },
+  { column: 'allows_unlimited', field: 'allowsUnlimited', cast: 'boolean' },
+  { column: 'is_locked', field: 'isLocked', cast: 'boolean' },
+  { column: 'mic_allowed', field: 'micAllowed', cast: 'boolean' },
+  { column: 'mic_required', field: 'micRequired', cast: 'boolean' },
+  { column: 'no_mic', field: 'noMic', cast: 'boolean' },
+  { column: 'is_public', field: 'isPublic', cast: 'boolean' },
+  { column: 'is_full', field: 'isFull', cast: 'boolean', fallback: 'FALSE', history: false },
+  { column: 'current_users_count', field: 'participantCount', cast: 'int', fallback: '0', history: false },
+  { column: 'url', field: 'url' },
+  { column: 'creator_user_id', field: 'createdBy' },
+  { column: 'creator_name', field: 'creatorName' },
+  { column: 'creator_avatar', field: 'creatorAvatarUrl' },
+  { column: 'creator_is_verified', field: 'creatorIsVerified', cast: 'boolean' }
+];
+
+/**
+ * Multi-row room upsert: { text, values }. Unobserved fields keep their
+ * stored value; changed settings are logged to room_changes (a setting seen
+ * for the first time isn't a change). Returns the written rooms plus
+ * `inserted` and `changed_fields`.
+ */
+function roomUpsertStatement(rows) {
+  const values = [];
+  const param = (value, cast) => {
+    values.push(value);
+    return `$${values.length}${cast ? `::${cast}` : ''}`;
+  };
+
+  const tuples = rows.map(room => `(${[
+    param(room.roomId),
+    ...ROOM_FIELDS.map(({ field, cast }) => param(room[field] ?? null, cast))
+  ].join(', ')})`);
+
+  const columns = ROOM_FIELDS.map(({ column }) => column);
+  // The creator is only linked once they're a known user (creator_user_id is a foreign key)
+  const incoming = column => (column === 'creator_user_id'
+    ? '(SELECT user_id FROM users WHERE user_id = v.creator_user_id)'
+    : `v.${column}`);
+  const logged = ROOM_FIELDS.filter(({ history }) => history !== false);
+
+  // Update-then-insert rather than ON CONFLICT: the UPDATE can see both the
+  // stored row and the raw (possibly null) observation. A room inserted by
+  // someone else in between is skipped by ON CONFLICT DO NOTHING.
+  const text = `
+    WITH v (room_id, ${columns.join(', ')}) AS (
+      VALUES ${tuples.join(', ')}
+    ),
+    before AS (
+      SELECT rooms.* FROM rooms JOIN v ON rooms.room_id = v.room_id
+    ),
+    updated AS (
+      UPDATE rooms SET
+        ${columns.map(column => `${column} = COALESCE(${incoming(column)}, rooms.${column})`).join(',\n        ')},
+        last_activity = NOW(),
+        updated_at = NOW()
+      FROM v
+      WHERE rooms.room_id = v.room_id
+      RETURNING rooms.*
+    ),
+    inserted AS (
+      INSERT INTO rooms (room_id, ${columns.join(', ')})
+      SELECT
+        v.room_id,
+        ${ROOM_FIELDS.map(({ column, fallback }) => (fallback ? `COALESCE(${incoming(column)}, ${fallback})` : incoming(column))).join(',\n        ')}
+      FROM v
+      WHERE NOT EXISTS (SELECT 1 FROM before WHERE before.room_id = v.room_id)
+      ON CONFLICT (room_id) DO NOTHING
+      RETURNING *
+    ),
+    changes AS (
+      INSERT INTO room_changes (room_id, field, old_value, new_value)
+      SELECT u.room_id, c.field, c.old_value, c.new_value
+      FROM updated u
+      JOIN before b ON b.room_id = u.room_id
+      CROSS JOIN LATERAL (VALUES
+        ${logged.map(({ column }) => `('${column}', b.${column}::TEXT, u.${column}::TEXT)`).join(',\n        ')}
+      ) AS c (field, old_value, new_value)
+      WHERE c.old_value IS NOT NULL AND c.old_value IS DISTINCT FROM c.new_value
+      RETURNING room_id, field
+    )
+    SELECT u.*, FALSE AS inserted,
+           COALESCE((SELECT ARRAY_AGG(field ORDER BY field) FROM changes WHERE changes.room_id = u.room_id), '{}') AS changed_fields
+    FROM updated u
+    UNION ALL
+    SELECT i.*, TRUE, '{}'
+    FROM inserted i
+  `;
+
+  return { text, values };
+}
+
+module.exports = {
+  SOURCE_RANK,
+  USER_FIELDS,
+  ROOM_FIELDS,
+  observedColumns,
+  observedProvenance,
+  mergeObservations,
+  userUpsertStatement,
+  roomUpsertStatement
+};
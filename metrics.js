@@ -0,0 +1,193 @@
+// metrics.js - Minimal Prometheus text-format registry
+
+class Metric {
+  constructor(name, help, type, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  key(labels = {}) {
+    return this.labelNames.map(name => `${name}="${escapeLabel(labels[name] ?? '')}"`).join(',');
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${key ? `{${key}}` : ''} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, help, 'counter', labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, help, 'gauge', labelNames);
+  }
+
+  set(labels, value) {
+    if (value === undefined) {
+      value = labels;
+      labels = {};
+    }
+    this.values.set(this.key(labels), value);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets, labelNames) {
+    super(name, help, 'histogram', labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    if (value === undefined) {
+      value = labels;
+      labels = {};
+    }
+
+    const key = this.key(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const entry = this.values.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+    for (const [key, entry] of this.values) {
+      const prefix = key ? `${key},` : '';
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket{${prefix}le="${bound}"} ${entry.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket{${prefix}le="+Inf"} ${entry.count}`);
+      lines.push(`${this.name}_sum${key ? `{${key}}` : ''} ${entry.sum}`);
+      lines.push(`${this.name}_count${key ? `{${key}}` : ''} ${entry.count}`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, buckets, labelNames) {
+    return this.register(new Histogram(name, help, buckets, labelNames));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Prometheus exposition format
+   */
+  render() {
+    processResidentMemory.set(process.memoryUsage().rss);
+    return this.metrics.map(m => m.render()).join('\n') + '\n';
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+const registry = new Registry();
+
+const processStartTime = registry.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds');
+const processResidentMemory = registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+processStartTime.set(Math.floor(Date.now() / 1000));
+
+const metrics = {
+  iterations: registry.counter(
+    'f4t_iterations_total', 'Tracking loop iterations by outcome', ['status']),
+  iterationDuration: registry.histogram(
+    'f4t_iteration_duration_seconds', 'Wall time of a full tracking iteration',
+    [30, 60, 120, 300, 600, 1200, 1800, 3600]),
+  lastIterationTimestamp: registry.gauge(
+    'f4t_last_iteration_timestamp_seconds', 'When the last iteration finished'),
+  usersDiscovered: registry.gauge(
+    'f4t_users_discovered', 'Unique users discovered in the last iteration'),
+  usersTracked: registry.gauge(
+    'f4t_users_tracked', 'Profiles tracked successfully in the last iteration'),
+  usersFailed: registry.gauge(
+    'f4t_users_failed', 'Profiles that failed in the last iteration'),
+  browserLaunches: registry.counter(
+    'f4t_browser_launches_total', 'Chromium launches (start or relaunch after a crash)', ['reason']),
+  pagesRecycled: registry.counter(
+    'f4t_pages_recycled_total', 'Pages replaced because they crashed or hit the navigation limit', ['reason']),
+  governorRequests: registry.counter(
+    'f4t_governor_requests_total', 'Navigations by how the server answered', ['outcome']),
+  governorTokens: registry.gauge(
+    'f4t_governor_tokens', 'Request tokens currently in the bucket'),
+  governorBackoffSeconds: registry.gauge(
+    'f4t_governor_backoff_seconds', 'Seconds left before requests resume after a bad response'),
+  governorBudgetRemaining: registry.gauge(
+    'f4t_governor_budget_remaining', 'Requests left in today\'s budget'),
+  pagesFetched: registry.counter(
+    'f4t_pages_fetched_total', 'Page navigations by page type and outcome', ['type', 'status']),
+  relationshipListCompleteness: registry.histogram(
+    'f4t_relationship_list_completeness', 'Share of a profile\'s count captured per relationship list',
+    [0.1, 0.25, 0.5, 0.75, 0.9, 0.99, 1], ['type']),
+  parseResults: registry.counter(
+    'f4t_parse_results_total', 'Parses by page type and outcome', ['type', 'status']),
+  parseFailureRate: registry.gauge(
+    'f4t_parse_failure_rate', 'Failure share over the drift window', ['type']),
+  artifactsCaptured: registry.counter(
+    'f4t_debug_artifacts_total', 'Parse failures saved to artifacts/', ['type']),
+  parseWarnings: registry.counter(
+    'f4t_parse_warnings_total', 'Parser sanity-check warnings', ['reason']),
+  dbQueryErrors: registry.counter(
+    'f4t_db_query_errors_total', 'Failed database queries'),
+  dbBufferedRows: registry.counter(
+    'f4t_db_buffered_rows_total', 'Rows flushed by the write buffer by kind and outcome', ['kind', 'status']),
+  followerSpikes: registry.counter(
+    'f4t_follower_spikes_total', 'Abnormal follower gains detected'),
+  notifications: registry.counter(
+    'f4t_notifications_total', 'Watchlist notifications by event and outcome', ['event', 'status']),
+  analyticsRuns: registry.counter(
+    'f4t_analytics_runs_total', 'Daily analytics rollup runs by outcome', ['status'])
+};
+
+module.exports = { Registry, Counter, Gauge, Histogram, registry, metrics };
@@ -0,0 +1,195 @@
+// migrate.js - Versioned schema migrations
+//
+//   node migrate.js up            apply every pending migration
+//   node migrate.js down [steps]  roll back the last N migrations (default 1)
+//   node migrate.js status        list applied and pending migrations
+//
+// Migrations live in database/migrations as NNN_name.up.sql / NNN_name.down.sql
+// and each applied one is recorded as a row in schema_metadata.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'database', 'migrations');
+
+// Databases created from the old hand-run schema.sql carry this version
+const LEGACY_VERSIONS = { '1.0.0': '001' };
+
+class Migrator {
+  constructor(pool, directory = MIGRATIONS_DIR) {
+    this.pool = pool;
+    this.directory = directory;
+  }
+
+  /**
+   * Read migration files from disk, ordered by version
+   */
+  loadMigrations() {
+    const files = fs.readdirSync(this.directory);
+    const migrations = new Map();
+
+    for (const file of files) {
+      const match = file.match(/^(\d{3})_(.+)\.(up|down)\.sql$/);
+      if (!match) continue;
+
+      const [, version, name, direction] = match;
+      if (!migrations.has(version)) {
+        migrations.set(version, { version, name, up: null, down: null });
+      }
+      migrations.get(version)[direction] = path.join(this.directory, file);
+    }
+
+    return Array.from(migrations.values())
+      .filter(m => m.up)
+      .sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  /**
+   * Make sure the version table exists (same definition as 001)
+   */
+  async ensureMetadataTable() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_metadata (
+        id SERIAL PRIMARY KEY,
+        schema_version VARCHAR(20) DEFAULT '1.0.0',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        description TEXT
+      )
+    `);
+  }
+
+  /**
+   * Versions recorded in schema_metadata
+   */
+  async getAppliedVersions() {
+    await this.ensureMetadataTable();
+    const result = await this.pool.query('SELECT schema_version FROM schema_metadata');
+    return new Set(result.rows.map(r => LEGACY_VERSIONS[r.schema_version] || r.schema_version));
+  }
+
+  /**
+   * Applied/pending state of every migration on disk
+   */
+  async status() {
+    const applied = await this.getAppliedVersions();
+    const migrations = this.loadMigrations();
+
+    const list = migrations.map(m => ({ ...m, applied: applied.has(m.version) }));
+    const current = list.filter(m => m.applied).map(m => m.version).pop() || null;
+    const latest = migrations.length ? migrations[migrations.length - 1].version : null;
+
+    return {
+      current,
+      latest,
+      migrations: list,
+      pending: list.filter(m => !m.applied)
+    };
+  }
+
+  /**
+   * Apply all pending migrations, each in its own transaction
+   */
+  async up() {
+    const { pending } = await this.status();
+
+    if (pending.length === 0) {
+      console.log('✅ Schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      await this.run(migration, 'up');
+    }
+
+    return pending;
+  }
+
+  /**
+   * Roll back the last `steps` applied migrations
+   */
+  async down(steps = 1) {
+    const { migrations } = await this.status();
+    const toRevert = migrations.filter(m => m.applied).reverse().slice(0, steps);
+
+    for (const migration of toRevert) {
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no down script`);
+      }
+      await this.run(migration, 'down');
+    }
+
+    return toRevert;
+  }
+
+  async run(migration, direction) {
+    const sql = fs.readFileSync(migration[direction], 'utf8');
+    const client = await this.pool.connect();
+
+    try {
+      console.log(`${direction === 'up' ? '⬆️ ' : '⬇️ '} ${migration.version}_${migration.name}`);
+      await client.query('BEGIN');
+      await client.query(sql);
+
+      if (direction === 'up') {
+        await client.query(
+          'INSERT INTO schema_metadata (schema_version, description) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      } else {
+        const legacy = Object.keys(LEGACY_VERSIONS).filter(v => LEGACY_VERSIONS[v] === migration.version);
+        await client.query(
+          'DELETE FROM schema_metadata WHERE schema_version = ANY($1)',
+          [[migration.version, ...legacy]]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`❌ Migration ${migration.version}_${migration.name} (${direction}) failed:`, error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+/**
+ * CLI entry point
+ */
+async function main(argv) {
+  const Database = require('./db');
+  const [command = 'status', arg] = argv;
+  const db = new Database();
+  const migrator = new Migrator(db.pool);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.up();
+      console.log(`✅ Applied ${applied.length} migration(s)`);
+    } else if (command === 'down') {
+      const steps = parseInt(arg || '1');
+      const reverted = await migrator.down(steps);
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const { current, latest, migrations } = await migrator.status();
+      console.log(`📋 Schema version: ${current || 'none'} (latest: ${latest})`);
+      for (const m of migrations) {
+        console.log(`   ${m.applied ? '✅' : '⏳'} ${m.version}_${m.name}`);
+      }
+    } else {
+      throw new Error(`Unknown migrate command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+module.exports = { Migrator, main };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('💥 Migration failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,282 @@
+// notifier.js - Watchlist alerts to webhooks (generic JSON, Discord, Telegram)
+//
+// The watchlist is a JSON file (WATCHLIST_FILE):
+//   {
+//     "users": ["<profile id>", ...],
+//     "rooms": [{ "topic": "ielts", "language": "English", "minParticipants": 5 }],
+//     "templates": { "user_joined": "{displayName} is in {topic}!" }
+//   }
+// Room rules match when every given field matches (topic is a case-insensitive
+// substring); minParticipants defaults to 1.
+const fs = require('fs');
+const axios = require('axios');
+const { metrics } = require('./metrics');
+
+const DEFAULT_TEMPLATES = {
+  user_joined: '🟢 {displayName} joined "{topic}" ({language}) - {participantCount} in the room',
+  user_left: '🔴 {displayName} left "{topic}" ({language})',
+  follower_change: '📈 {displayName} followers: {previousFollowers} → {currentFollowers} ({change})',
+  room_occupancy: '🏠 "{topic}" ({language}) reached {participantCount} participants (threshold {minParticipants})',
+  parse_drift: '🚨 Parse drift: {percent}% of the last {samples} {pageType} parses failed ({lastReason})'
+};
+
+// Rooms not seen on any pass for this long are forgotten, along with their
+// occupancy state
+const ROOM_TTL_MS = 60 * 60 * 1000;
+
+class Notifier {
+  /**
+   * options.watchlist     - { users, rooms, templates } (see above)
+   * options.webhooks      - [{ type: 'generic' | 'discord' | 'telegram', url, chatId? }]
+   * options.dedupeMs      - identical events inside this window are sent once
+   * options.retries       - delivery attempts per webhook after the first
+   */
+  constructor(options) {
+    this.watchedUsers = new Set(options.watchlist.users || []);
+    this.roomRules = options.watchlist.rooms || [];
+    this.templates = { ...DEFAULT_TEMPLATES, ...options.watchlist.templates };
+    this.webhooks = options.webhooks || [];
+    this.dedupeMs = options.dedupeMs;
+    this.retries = options.retries;
+
+    this.sentAt = new Map();
+    this.roomsAboveThreshold = new Set();
+    // roomId -> { room, seenAt }
+    this.knownRooms = new Map();
+    this.pending = new Set();
+  }
+
+  get enabled() {
+    return this.webhooks.length > 0;
+  }
+
+  /**
+   * Load the watchlist file; a missing file means an empty watchlist
+   */
+  static loadWatchlist(file) {
+    if (!file || !fs.existsSync(file)) {
+      return { users: [], rooms: [], templates: {} };
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Joins/leaves from SessionTracker.reconcile() plus the rooms of that pass
+   */
+  onSessions({ joined, left }, rooms) {
+    if (!this.enabled) return;
+
+    const now = Date.now();
+    for (const room of rooms) {
+      this.knownRooms.set(room.roomId, { room, seenAt: now });
+    }
+
+    for (const { username, roomId } of joined) {
+      if (!this.watchedUsers.has(username)) continue;
+      const room = this.knownRoom(roomId);
+      this.notify('user_joined', `join:${username}:${roomId}`, {
+        ...describeRoom(room),
+        username: username,
+        displayName: displayNameIn(room, username)
+      });
+    }
+
+    for (const { username, roomId } of left) {
+      if (!this.watchedUsers.has(username)) continue;
+      const room = this.knownRoom(roomId);
+      this.notify('user_left', `leave:${username}:${roomId}`, {
+        ...describeRoom(room),
+        username: username,
+        displayName: displayNameIn(room, username)
+      });
+    }
+
+    this.checkOccupancy(rooms);
+    this.prune(now);
+  }
+
+  knownRoom(roomId) {
+    const known = this.knownRooms.get(roomId);
+    return known ? known.room : { roomId };
+  }
+
+  /**
+   * Forget rooms gone for ROOM_TTL_MS and dedupe keys past their window,
+   * so a long-running tracker doesn't accumulate every room it ever saw
+   */
+  prune(now) {
+    for (const [roomId, { seenAt }] of this.knownRooms) {
+      if (now - seenAt >= ROOM_TTL_MS) {
+        this.knownRooms.delete(roomId);
+        this.roomsAboveThreshold.delete(roomId);
+      }
+    }
+
+    for (const [dedupeKey, sentAt] of this.sentAt) {
+      if (now - sentAt >= this.dedupeMs) {
+        this.sentAt.delete(dedupeKey);
+      }
+    }
+  }
+
+  /**
+   * Alert when a watched room goes from below to at/above its threshold
+   */
+  checkOccupancy(rooms) {
+    for (const room of rooms) {
+      const rule = this.roomRules.find(r => matchesRoom(r, room));
+      if (!rule) continue;
+
+      const minParticipants = rule.minParticipants || 1;
+      const count = (room.participants || []).length || room.participantCount || 0;
+
+      if (count >= minParticipants && !this.roomsAboveThreshold.has(room.roomId)) {
+        this.roomsAboveThreshold.add(room.roomId);
+        this.notify('room_occupancy', `room:${room.roomId}`, {
+          ...describeRoom(room),
+          minParticipants: minParticipants
+        });
+      } else if (count < minParticipants) {
+        this.roomsAboveThreshold.delete(room.roomId);
+      }
+    }
+  }
+
+  /**
+   * Follower count changed between two profile scrapes of a watched user
+   */
+  onFollowerChange(userData, previousFollowers, currentFollowers) {
+    if (!this.enabled || !this.watchedUsers.has(userData.username)) return;
+    if (previousFollowers === currentFollowers) return;
+
+    const change = currentFollowers - previousFollowers;
+    this.notify('follower_change', `followers:${userData.username}:${currentFollowers}`, {
+      username: userData.username,
+      displayName: userData.displayName || userData.username,
+      previousFollowers: previousFollowers,
+      currentFollowers: currentFollowers,
+      change: change > 0 ? `+${change}` : String(change)
+    });
+  }
+
+  /**
+   * ParseDriftDetector onAlert hook
+   */
+  onDriftAlert(alert) {
+    if (!this.enabled) return;
+    this.notify('parse_drift', `drift:${alert.pageType}`, {
+      ...alert,
+      percent: Math.round(alert.failureRate * 100)
+    });
+  }
+
+  /**
+   * Render and send to every webhook, unless the same key was sent recently.
+   * Delivery runs in the background; flush() waits for it.
+   */
+  notify(event, dedupeKey, data) {
+    const now = Date.now();
+    if (now - (this.sentAt.get(dedupeKey) || 0) < this.dedupeMs) {
+      metrics.notifications.inc({ event, status: 'deduped' });
+      return;
+    }
+    this.sentAt.set(dedupeKey, now);
+
+    const text = render(this.templates[event], data);
+    console.log(`🔔 ${text}`);
+
+    for (const webhook of this.webhooks) {
+      const delivery = this.deliver(webhook, event, text, data)
+        .finally(() => this.pending.delete(delivery));
+      this.pending.add(delivery);
+    }
+  }
+
+  async deliver(webhook, event, text, data) {
+    const { url, body } = buildRequest(webhook, event, text, data);
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      try {
+        await axios.post(url, body, { timeout: 10000 });
+        metrics.notifications.inc({ event, status: 'sent' });
+        return true;
+
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        const retryable = !status || status === 429 || status >= 500;
+
+        if (!retryable || attempt === this.retries) {
+          console.error(`❌ ${webhook.type} webhook failed for ${event}:`, status || error.message);
+          metrics.notifications.inc({ event, status: 'failed' });
+          return false;
+        }
+
+        // Honour Retry-After on 429s, otherwise back off 1s, 2s, 4s...
+        const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+        const delay = Number.isNaN(retryAfter) ? 1000 * 2 ** attempt : retryAfter * 1000;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Wait for in-flight deliveries (call before shutdown)
+   */
+  async flush() {
+    await Promise.allSettled(Array.from(this.pending));
+  }
+}
+
+/**
+ * Helper: Webhook URL and payload for each channel type
+ */
+function buildRequest(webhook, event, text, data) {
+  if (webhook.type === 'discord') {
+    return { url: webhook.url, body: { content: text } };
+  }
+
+  if (webhook.type === 'telegram') {
+    return {
+      url: `https://api.telegram.org/bot${webhook.token}/sendMessage`,
+      body: { chat_id: webhook.chatId, text: text, disable_web_page_preview: true }
+    };
+  }
+
+  return {
+    url: webhook.url,
+    body: { event: event, text: text, data: data, timestamp: new Date().toISOString() }
+  };
+}
+
+/**
+ * Helper: Replace {name} placeholders; unknown ones are left as-is
+ */
+function render(template, data) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = data[key];
+    return value === undefined || value === null ? match : String(value);
+  });
+}
+
+function matchesRoom(rule, room) {
+  if (rule.roomId && rule.roomId !== room.roomId) return false;
+  if (rule.language && !(room.language || '').toLowerCase().includes(rule.language.toLowerCase())) return false;
+  if (rule.topic && !(room.topic || '').toLowerCase().includes(rule.topic.toLowerCase())) return false;
+  return true;
+}
+
+function describeRoom(room) {
+  return {
+    roomId: room.roomId,
+    topic: room.topic || room.roomName || room.roomId,
+    language: room.language || 'unknown language',
+    participantCount: (room.participants || []).length || room.participantCount || 0
+  };
+}
+
+function displayNameIn(room, username) {
+  const participant = (room.participants || []).find(p => p.username === username);
+  return participant && participant.displayName ? participant.displayName : username;
+}
+
+module.exports = { Notifier, render, buildRequest };
@@ -1,66 +1,226 @@
 // parser.js - FIXED VERSION
 const cheerio = require('cheerio');
+const { metrics } = require('./metrics');
+
+const SKILL_LEVELS = ['Beginner', 'Intermediate', 'Advanced', 'Any Level'];
 
 /**
- * Parse the homepage HTML to extract users and rooms
+ * Parse the homepage HTML to extract users and rooms.
+ *
+ * The live page is antd + styled-components: the `sc-*` class names are
+ * build hashes and change on every deploy, so only the stable antd and
+ * app class names (.group-header, .client-list, .client-item, .followers,
+ * .avatarImg, .lang-tag) are used here.
+ *
+ * Rooms and users are keyed by the site's own ids, which the live cards
+ * don't carry: every card is still returned, with `roomId` null, and every
+ * occupant is in its `clients`. Only clients with a user id are
+ * `participants` and `users`. assignRoomIds() takes the missing room ids
+ * from the captured feed (capture.js).
  */
 function parseHomepage(html) {
   const $ = cheerio.load(html);
   const users = [];
   const rooms = [];
+  const seenUsers = new Set();
+  const seenRoomIds = new Set();
 
   try {
-    // Extract users from homepage
-    $('.user-card, .profile-card, [data-username]').each((i, el) => {
-      const $el = $(el);
-      const username = $el.attr('data-username') || 
-                      $el.find('[data-username]').attr('data-username') ||
-                      $el.find('.username').text().trim();
+    $('.group-header').each((i, header) => {
+      const $card = $(header).closest('.ant-card');
+      const room = parseRoomCard($, $card);
+
+      if (!room) return;
+      if (room.roomId) {
+        if (seenRoomIds.has(room.roomId)) return;
+        seenRoomIds.add(room.roomId);
+      }
+
+      rooms.push(room);
+
+      for (const participant of room.participants) {
+        if (seenUsers.has(participant.username)) continue;
+        seenUsers.add(participant.username);
 
-      if (username) {
         users.push({
-          username: username.replace('@', ''),
-          displayName: $el.find('.display-name, .name').text().trim() || username,
-          avatarUrl: $el.find('img').attr('src') || null,
-          isOnline: $el.hasClass('online') || $el.find('.online-indicator').length > 0
+          username: participant.username,
+          displayName: participant.displayName,
+          avatarUrl: participant.avatarUrl,
+          followerCount: participant.followerCount,
+          isOnline: true
         });
       }
     });
 
-    // Extract rooms from homepage
-    $('.room-card, [data-room-id]').each((i, el) => {
-      const $el = $(el);
-      const roomId = $el.attr('data-room-id') || $el.find('[data-room-id]').attr('data-room-id');
-      const roomName = $el.find('.room-name, .room-title').text().trim();
-
-      if (roomId || roomName) {
-        const participants = [];
-        $el.find('.participant, [data-username]').each((j, participant) => {
-          const username = $(participant).attr('data-username');
-          if (username) participants.push(username.replace('@', ''));
-        });
-
-        rooms.push({
-          roomId: roomId || roomName,
-          roomName: roomName || roomId,
-          participantCount: parseInt($el.find('.participant-count').text()) || participants.length,
-          participants: participants,
-          language: $el.find('.language, [data-language]').text().trim() || null,
-          topic: $el.find('.topic, .room-topic').text().trim() || null,
-          isPublic: !$el.hasClass('private')
-        });
+    const languages = [];
+    $('.lang-tag').each((i, el) => {
+      const match = $(el).text().trim().match(/^(.+?)\s*\((\d+)\)$/);
+      if (match) {
+        languages.push({ language: match[1], roomCount: parseInt(match[2]) });
       }
     });
 
-    console.log(`📊 Parsed homepage: ${users.length} users, ${rooms.length} rooms`);
-    return { users, rooms };
+    const unkeyed = rooms.filter(room => !room.roomId).length;
+    if (unkeyed > 0) {
+      metrics.parseWarnings.inc({ reason: 'no_room_id' }, unkeyed);
+    }
+
+    if (rooms.length === 0) {
+      metrics.parseWarnings.inc({ reason: 'no_rooms' });
+    }
+
+    console.log(`📊 Parsed homepage: ${rooms.length} rooms (${unkeyed} without an id), ${users.length} users with an id`);
+    return { users, rooms, languages };
 
   } catch (error) {
     console.error('Error parsing homepage:', error);
-    return { users: [], rooms: [] };
+    return { users: [], rooms: [], languages: [] };
   }
 }
 
+/**
+ * Give cards without a room id the id of the one captured room that looks
+ * the same (see cardSignature), along with its participants. Cards that
+ * match none, or several, keep a null id. Returns the cards.
+ */
+function assignRoomIds(cards, capturedRooms) {
+  const bySignature = new Map();
+  for (const room of capturedRooms) {
+    const signature = cardSignature(room);
+    bySignature.set(signature, bySignature.has(signature) ? null : room);
+  }
+
+  return cards.map(card => {
+    if (card.roomId) return card;
+
+    const match = bySignature.get(cardSignature(card));
+    return match ? { ...card, roomId: match.roomId, participants: match.participants } : card;
+  });
+}
+
+/**
+ * Helper: What a card shows of a room - language, topic and the occupants'
+ * names - in a form a captured room can be compared with
+ */
+function cardSignature(room) {
+  const names = (room.clients || room.participants || []).map(p => (p.displayName || '').trim()).sort();
+  return JSON.stringify([room.language, room.topic, names].map(value =>
+    (Array.isArray(value) ? value.join('\n') : value || '').toLowerCase()));
+}
+
+/**
+ * Parse a single room card (.ant-card holding a .group-header).
+ * Returns null for placeholder cards.
+ */
+function parseRoomCard($, $card) {
+  const $header = $card.find('.group-header').first();
+
+  // First row of the header is [language, level], then the topic
+  const headerCols = $header.find('.ant-row-flex').first().children('.ant-col');
+  const languageText = headerCols.eq(0).text().trim();
+  const levelText = headerCols.eq(1).text().trim();
+  const topic = $header.find('.notranslate').last().text().trim() || null;
+
+  const [language, secondLanguage] = languageText.split('+').map(l => l.trim());
+
+  // The host's avatar replaces the platform logo when the room has a creator
+  const $headImg = $card.find('.ant-card-head-title img').first();
+  const creatorAvatarUrl = $headImg.attr('alt') === 'avatar' ? $headImg.attr('src') : null;
+
+  const occupants = [];
+  let slotCount = 0;
+  let emptySlots = 0;
+
+  $card.find('.client-list .client-item').each((i, item) => {
+    const $item = $(item);
+    const $button = $item.find('button[value="button"]').first();
+    slotCount++;
+
+    if ($button.is('[disabled]') || $item.find('.blind').text().trim() === 'Empty Slot') {
+      emptySlots++;
+      return;
+    }
+
+    const displayName = $button.attr('aria-label') || null;
+    const avatarUrl = $item.find('.avatarImg img').attr('src') || null;
+    const username = $item.attr('data-user-id') ||
+      idFromLink($item.find('a[href*="/profile/"]').attr('href'), 'profile');
+
+    occupants.push({
+      username: username,
+      displayName: displayName || username,
+      avatarUrl: avatarUrl,
+      followerCount: $item.find('.followers').length ? parseCount($item.find('.followers').text()) : null,
+      role: creatorAvatarUrl && avatarUrl === creatorAvatarUrl ? 'owner' : 'listener'
+    });
+  });
+
+  // Placeholder cards render with an empty header and no clients
+  if (!language && occupants.length === 0) {
+    return null;
+  }
+
+  const $link = $card.find('a[href*="/room/"]').first();
+  const roomId = $card.attr('data-room-id') || idFromLink($link.attr('href'), 'room');
+  const participants = occupants.filter(p => p.username);
+
+  // The join button reads "This group is full.", "Join and talk now!" (voice)
+  // or "Join and chat now!" (text only). Whether a full room allows mics, and
+  // locks or mic requirements, aren't shown on the card.
+  const actionText = $card.find('.ant-card-actions').text().trim();
+  const isFull = /group is full/i.test(actionText);
+  const noMic = /chat now/i.test(actionText) ? true : (/talk now/i.test(actionText) ? false : null);
+  const capacity = emptySlots > 0 || isFull ? slotCount : null;
+  const owner = occupants.find(p => p.role === 'owner');
+
+  return {
+    roomId: roomId,
+    roomName: topic || `${language} (${levelText || 'Any Level'})`,
+    topic: topic,
+    language: language || null,
+    secondLanguage: secondLanguage || null,
+    level: SKILL_LEVELS.includes(levelText) ? levelText : 'Any Level',
+    // Unlimited rooms only render their occupants, so the slot count is
+    // the capacity only when there's a free slot or the room says it's full
+    maxCapacity: capacity,
+    allowsUnlimited: capacity === null ? null : false,
+    participantCount: occupants.length,
+    isFull: isFull,
+    isLocked: null,
+    micAllowed: noMic === null ? null : !noMic,
+    micRequired: null,
+    noMic: noMic,
+    // Only public rooms are listed on the homepage
+    isPublic: true,
+    url: $link.attr('href') || null,
+    // Cards show the host's avatar, not their id; the name comes from their client slot
+    creatorName: owner ? owner.displayName : null,
+    creatorAvatarUrl: creatorAvatarUrl,
+    participants: participants,
+    // Everyone on the card, with or without a user id
+    clients: occupants
+  };
+}
+
+/**
+ * Helper: The site's id from a /room/<id> or /profile/<id> link
+ */
+function idFromLink(href, segment) {
+  const match = (href || '').match(new RegExp(`/${segment}/([^/?#]+)`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Helper: Parse "1,234" / "2.9K" style counts
+ */
+function parseCount(text) {
+  const match = (text || '').trim().replace(/,/g, '').match(/^([\d.]+)\s*([kKmM])?/);
+  if (!match) return 0;
+
+  const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier) || 0;
+}
+
 /**
  * Parse a user profile page - FIXED VERSION
  */
@@ -72,7 +232,8 @@ function parseProfilePage(html, username) {
 
     if (!profileSection.length) {
       console.warn(`⚠️  No profile section found for ${username}`);
-      return getDefaultUserData(username);
+      metrics.parseWarnings.inc({ reason: 'no_profile_section' });
+      return getDefaultUserData(username, 'no_profile_section');
     }
 
     // FIXED: Get ALL stat elements, not just the first one
@@ -109,10 +270,13 @@ function parseProfilePage(html, username) {
     }
 
     // Validate - if all are identical and not 0, something might be wrong
+    const warnings = [];
     if (followerCount === followingCount && 
         followingCount === friendsCount && 
         followerCount !== '0') {
       console.warn(`⚠️  Suspicious: ${username} has identical counts (${followerCount})`);
+      metrics.parseWarnings.inc({ reason: 'identical_counts' });
+      warnings.push('identical_counts');
     }
 
     // Extract other profile data
@@ -144,14 +308,14 @@ function parseProfilePage(html, username) {
       }
     });
 
-    // Rooms - get from profile
+    // Rooms - get from profile (only ones with a site id)
     const rooms = [];
     $('.room-card, .user-room').each((i, el) => {
       const $room = $(el);
       const roomName = $room.find('.room-name, .title').text().trim();
-      const roomId = $room.attr('data-room-id') || roomName;
+      const roomId = $room.attr('data-room-id');
 
-      if (roomName) {
+      if (roomId && roomName) {
         rooms.push({
           roomId: roomId,
           roomName: roomName,
@@ -172,12 +336,13 @@ function parseProfilePage(html, username) {
       gender: gender,
       languages: languages,
       interests: interests,
-      rooms: rooms
+      rooms: rooms,
+      warnings: warnings
     };
 
   } catch (error) {
     console.error(`Error parsing profile for ${username}:`, error.message);
-    return getDefaultUserData(username);
+    return getDefaultUserData(username, 'parse_error');
   }
 }
 
@@ -214,7 +379,8 @@ function parseRelationshipList(html, username, type) {
 }
 
 /**
- * Parse room details page
+ * Parse room details page. Returns null when the page has no room section;
+ * fields the page doesn't show are null, so they don't overwrite stored ones.
  */
 function parseRoomDetails(html, roomId) {
   const $ = cheerio.load(html);
@@ -222,14 +388,51 @@ function parseRoomDetails(html, roomId) {
   try {
     const roomSection = $('.room-details, .room-info').first();
 
-    const roomName = roomSection.find('.room-name, h1').text().trim();
+    if (!roomSection.length) {
+      console.warn(`⚠️  No room section found for ${roomId}`);
+      metrics.parseWarnings.inc({ reason: 'no_room_section' });
+      return null;
+    }
+
+    const roomName = roomSection.find('.room-name, h1').text().trim() || null;
     const topic = roomSection.find('.topic, .description').text().trim() || null;
-    const language = roomSection.find('.language, [data-language]').text().trim() || null;
-    const isPublic = !roomSection.hasClass('private');
+    const language = roomSection.find('.language, [data-language]').first().text().trim() || null;
+    const secondLanguage = roomSection.find('.second-language, [data-second-language]').text().trim() || null;
+    const levelText = roomSection.find('.level, .skill-level, [data-level]').text().trim();
+
+    // Settings are flags on the section (class or data-*) or badge text. A
+    // flag is only false when the page says so - data-*="false", or a badge
+    // list without it - and null (not shown) otherwise.
+    const $badges = roomSection.find('.room-settings, .tags, .badges');
+    const flagText = $badges.text();
+    const flag = (name, pattern) => {
+      const data = roomSection.attr(`data-${name}`);
+      if (roomSection.hasClass(name) || data === 'true' || pattern.test(flagText)) return true;
+      if (data === 'false' || $badges.length > 0) return false;
+      return null;
+    };
+
+    const capacityText = roomSection.attr('data-max-capacity') ||
+      roomSection.find('.capacity, .max-capacity').text().trim();
+    // "Max 10", or "3/10" - occupants, then the capacity
+    const capacityMatch = capacityText.match(/\/\s*(\d+)/) || capacityText.match(/(\d+)/);
+    const capacity = capacityMatch ? parseInt(capacityMatch[1], 10) : NaN;
+    const unlimited = flag('unlimited', /unlimited/i);
+    const noMic = flag('no-mic', /no mic|chat only/i);
+    const isPrivate = flag('private', /private/i);
+
+    const $creator = roomSection.find('.creator, .host, .room-owner').first();
+    const creatorUsername = $creator.attr('data-username') ||
+      $creator.find('[data-username]').attr('data-username') || null;
+
+    // Get participants from the participant list, never the creator block
+    const $list = roomSection.find('.participant-list, .participants, .members').first();
+    const $scope = $list.length ? $list : roomSection;
+    let $items = $scope.find('.participant, .member');
+    if (!$items.length) $items = $scope.find('[data-username]');
 
-    // Get participants
     const participants = [];
-    $('.participant, .member, [data-username]').each((i, el) => {
+    $items.not($creator.find('*').addBack()).each((i, el) => {
       const $el = $(el);
       const username = $el.attr('data-username') || $el.find('.username').text().trim().replace('@', '');
       const role = $el.attr('data-role') || 
@@ -245,13 +448,31 @@ function parseRoomDetails(html, roomId) {
       }
     });
 
+    const url = $('link[rel="canonical"]').attr('href') || null;
+    const maxCapacity = unlimited ? -1 : (Number.isNaN(capacity) ? null : capacity);
+    const full = flag('full', /\bfull\b/i);
+
     return {
       roomId: roomId,
       roomName: roomName,
       topic: topic,
       language: language,
-      isPublic: isPublic,
+      secondLanguage: secondLanguage,
+      level: SKILL_LEVELS.includes(levelText) ? levelText : null,
+      maxCapacity: maxCapacity,
+      allowsUnlimited: unlimited === null && maxCapacity !== null ? false : unlimited,
+      isLocked: flag('locked', /locked/i),
+      micAllowed: noMic === null ? null : !noMic,
+      micRequired: flag('mic-required', /mic required/i),
+      noMic: noMic,
+      isFull: full || (maxCapacity > 0 ? participants.length >= maxCapacity : full),
+      isPublic: isPrivate === null ? null : !isPrivate,
+      url: url,
       participantCount: participants.length,
+      createdBy: creatorUsername,
+      creatorName: $creator.find('.display-name, .name').text().trim() || null,
+      creatorAvatarUrl: $creator.find('img').attr('src') || null,
+      creatorIsVerified: $creator.length ? $creator.find('.verified, [data-verified="true"]').length > 0 : null,
       participants: participants
     };
 
@@ -262,26 +483,30 @@ function parseRoomDetails(html, roomId) {
 }
 
 /**
- * Helper: Get default user data
+ * Helper: Placeholder for a profile that couldn't be parsed. Every field is
+ * null (not observed), so nothing here can overwrite stored values.
  */
-function getDefaultUserData(username) {
+function getDefaultUserData(username, warning = null) {
   return {
     username: username,
-    displayName: username,
+    displayName: null,
     avatarUrl: null,
     bio: null,
-    followerCount: 0,
-    followingCount: 0,
-    friendsCount: 0,
+    followerCount: null,
+    followingCount: null,
+    friendsCount: null,
     gender: null,
-    languages: [],
-    interests: [],
-    rooms: []
+    languages: null,
+    interests: null,
+    rooms: [],
+    warnings: warning ? [warning] : []
   };
 }
 
 module.exports = {
+  SKILL_LEVELS,
   parseHomepage,
+  assignRoomIds,
   parseProfilePage,
   parseRelationshipList,
   parseRoomDetails
@@ -0,0 +1,71 @@
+// pool.js - Bounded pool of browser pages for profile tracking
+const Free4TalkTracker = require('./tracker');
+
+class WorkerPool {
+  /**
+   * options.size         - number of pages/workers
+   * options.browser      - BrowserManager the pages come from
+   * options.governor     - RequestGovernor shared by every worker
+   * options.frontier     - CrawlFrontier fed with users/rooms the workers find
+   * options.drift        - ParseDriftDetector shared by every worker
+   * options.notifier     - Notifier for watched users' follower changes
+   * options.trackedUsers - Set shared with the main tracker for de-duplication
+   * options.trackedRooms - Set shared with the main tracker for de-duplication
+   */
+  constructor(db, options) {
+    this.db = db;
+    this.options = options;
+    this.workers = [];
+  }
+
+  async start() {
+    for (let i = 0; i < this.options.size; i++) {
+      this.workers.push(await this.createWorker());
+    }
+    console.log(`👷 Worker pool ready: ${this.workers.length} pages`);
+  }
+
+  async createWorker() {
+    const page = await this.options.browser.newPage();
+    return new Free4TalkTracker(page, this.db, {
+      browser: this.options.browser,
+      governor: this.options.governor,
+      frontier: this.options.frontier,
+      drift: this.options.drift,
+      notifier: this.options.notifier,
+      trackedUsers: this.options.trackedUsers,
+      trackedRooms: this.options.trackedRooms
+    });
+  }
+
+  /**
+   * Run task(tracker, item, index) over every item, at most `size` at a time
+   */
+  async run(items, task) {
+    let next = 0;
+
+    const loop = async (slot) => {
+      while (next < items.length) {
+        const index = next++;
+        // Crashed pages are replaced by the tracker itself (BrowserManager.refresh)
+        await task(this.workers[slot], items[index], index);
+      }
+    };
+
+    await Promise.all(this.workers.map((worker, slot) => loop(slot)));
+  }
+
+  /**
+   * Close the worker pages; one whose browser is already gone is skipped
+   */
+  async close() {
+    for (const worker of this.workers) {
+      if (!worker.page.isClosed()) {
+        await worker.page.close().catch(() => {});
+      }
+    }
+    this.workers = [];
+  }
+}
+
+module.exports = WorkerPool;
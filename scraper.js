@@ -0,0 +1,490 @@
+// scraper.js - Free4TalkScraper: browser, database and the three-level tracking loop
+const Database = require('./db');
+const BrowserManager = require('./browser');
+const Free4TalkTracker = require('./tracker');
+const { parseHomepage, assignRoomIds } = require('./parser');
+const { NetworkCapture } = require('./capture');
+const { ApiServer } = require('./api');
+const { AnalyticsJob } = require('./analytics');
+const { CoPresenceGraph } = require('./copresence');
+const WorkerPool = require('./pool');
+const { RequestGovernor, RequestBudgetError, backoffDelay } = require('./governor');
+const CrawlFrontier = require('./frontier');
+const { FixtureStore } = require('./fixtures');
+const ParseDriftDetector = require('./drift');
+const { Notifier } = require('./notifier');
+const { metrics } = require('./metrics');
+const config = require('./config');
+
+class Free4TalkScraper {
+  constructor() {
+    this.browser = null;
+    this.db = null;
+    this.tracker = null;
+    this.pool = null;
+    this.frontier = null;
+    this.fixtures = null;
+    this.drift = null;
+    this.notifier = null;
+    this.capture = null;
+    this.homepageRooms = null;
+    // Whether homepageRooms lists every live room (see mergeHomepage)
+    this.homepageComplete = false;
+    this.api = null;
+    this.analytics = null;
+    this.copresence = null;
+    this.governor = null;
+    this.heartbeat = new Date();
+  }
+
+  /**
+   * Database plus the DB-only helpers (enough for `stats`/`export`)
+   */
+  async connectDatabase() {
+    this.db = new Database();
+    await this.db.connect();
+
+    this.frontier = new CrawlFrontier(this.db, {
+      revisitMinutes: config.frontier.revisitMinutes,
+      deepRevisitMinutes: config.frontier.deepRevisitMinutes,
+      deepBudget: config.frontier.deepBudget
+    });
+
+    this.analytics = new AnalyticsJob(this.db, {
+      intervalMs: config.analytics.intervalMinutes * 60 * 1000
+    });
+
+    this.copresence = new CoPresenceGraph(this.db);
+  }
+
+  /**
+   * options.api  - serve the HTTP API (off for one-shot CLI commands)
+   * options.pool - open the worker pages used by LEVEL 3
+   */
+  async initialize({ api = true, pool = true } = {}) {
+    console.log(`🚀 Initializing Free4Talk Tracker (${config.profile} profile)...`);
+
+    await this.connectDatabase();
+
+    // Serve the read-only API
+    if (api) {
+      this.api = new ApiServer(this.db, {
+        isBrowserReady: () => Boolean(this.browser && this.browser.isReady()),
+        getHeartbeat: () => this.heartbeat,
+        getGovernorState: () => (this.governor ? this.governor.state() : null)
+      });
+      await this.api.start(config.api.port);
+    }
+
+    this.notifier = new Notifier({
+      watchlist: Notifier.loadWatchlist(config.notifications.watchlistFile),
+      webhooks: config.notifications.webhooks,
+      dedupeMs: config.notifications.dedupeMinutes * 60 * 1000,
+      retries: config.notifications.retries
+    });
+    console.log(`🔔 Notifications: ${this.notifier.watchedUsers.size} watched users, ${this.notifier.roomRules.length} room rules, ${this.notifier.webhooks.length} webhooks`);
+
+    this.drift = new ParseDriftDetector({
+      artifactsDir: config.drift.artifactsDir,
+      windowSize: config.drift.windowSize,
+      minSamples: config.drift.minSamples,
+      failureThreshold: config.drift.failureThreshold,
+      captureCooldownMs: config.drift.captureCooldownMinutes * 60 * 1000,
+      onAlert: alert => this.notifier.onDriftAlert(alert)
+    });
+
+    if (config.fixtures.mode !== 'off') {
+      this.fixtures = new FixtureStore(config.fixtures.dir, config.fixtures.mode);
+    }
+
+    // Launch browser; every page (including ones replacing crashed or
+    // recycled pages) gets the drift log and fixtures
+    this.browser = new BrowserManager({
+      headless: config.scraper.headless,
+      contextOptions: {
+        viewport: { width: 1920, height: 1080 },
+        userAgent: config.scraper.userAgent,
+        ignoreHTTPSErrors: config.scraper.ignoreHttpsErrors
+      },
+      recycleAfter: config.scraper.pageRecycleNavigations,
+      setupPage: async page => {
+        this.drift.attach(page);
+        if (this.fixtures) {
+          await this.fixtures.attach(page);
+        }
+      }
+    });
+
+    // Listen to the site's own data feed on the homepage tab
+    if (config.scraper.networkCapture) {
+      this.capture = new NetworkCapture();
+    }
+    const page = await this.browser.newPage(this.capture ? p => this.capture.attach(p) : null);
+
+    // Initialize tracker; pool workers share its de-duplication sets and the request governor
+    this.governor = new RequestGovernor(config.governor);
+    this.tracker = new Free4TalkTracker(page, this.db, {
+      browser: this.browser,
+      governor: this.governor,
+      frontier: this.frontier,
+      drift: this.drift,
+      notifier: this.notifier
+    });
+
+    if (pool) {
+      this.pool = new WorkerPool(this.db, {
+        size: config.scraper.concurrency,
+        browser: this.browser,
+        governor: this.governor,
+        frontier: this.frontier,
+        drift: this.drift,
+        notifier: this.notifier,
+        trackedUsers: this.tracker.trackedUsers,
+        trackedRooms: this.tracker.trackedRooms
+      });
+      await this.pool.start();
+    }
+
+    console.log('✅ Initialization complete');
+  }
+
+  /**
+   * FIXED: Multi-level discovery strategy
+   */
+  async startTracking() {
+    console.log('\n' + '='.repeat(80));
+    console.log('🚀 STARTING FREE4TALK COMPREHENSIVE TRACKING');
+    console.log('='.repeat(80));
+
+    let iteration = 0;
+    let failures = 0;
+
+    while (true) {
+      let wait;
+
+      try {
+        iteration++;
+        await this.runIteration(iteration);
+        failures = 0;
+        wait = config.scraper.intervalMs;
+
+        // Out of requests for today - sleep until the budget resets
+        if (this.governor.budgetExhausted()) {
+          const resetsAt = this.governor.budgetResetsAt();
+          wait = Math.max(resetsAt - Date.now(), wait);
+          console.log(`\n🪫 Daily request budget used up - resuming at ${resetsAt.toISOString()}`);
+        }
+
+        console.log(`\n⏳ Waiting ${(wait / 1000 / 60).toFixed(1)} minutes until next iteration...`);
+
+      } catch (error) {
+        console.error('\n❌ ERROR IN TRACKING LOOP:', error);
+        console.error(error.stack);
+        metrics.iterations.inc({ status: 'error' });
+
+        // Back off harder while the loop keeps failing
+        failures++;
+        wait = backoffDelay(failures, 60000, config.governor.backoffMaxMs);
+        console.log(`⏳ Waiting ${Math.round(wait / 1000)} seconds before retry (failure ${failures} in a row)...`);
+      }
+
+      // Waiting is progress too - don't let /healthz call this stuck
+      this.heartbeat = new Date(Date.now() + wait);
+      await this.sleep(wait);
+    }
+  }
+
+  /**
+   * One full LEVEL 1-3 pass. Throws on a fatal error; `ok` is false when the
+   * homepage yielded no rooms (nothing was really tracked).
+   */
+  async runIteration(iteration = 1) {
+    const startTime = Date.now();
+    this.heartbeat = new Date();
+
+    console.log('\n' + '━'.repeat(80));
+    console.log(`📊 ITERATION ${iteration} - ${new Date().toISOString()}`);
+    console.log('━'.repeat(80));
+
+    // Reset tracking sets for new iteration
+    this.tracker.resetTracking();
+
+    // LEVEL 1: Scrape homepage for initial discovery
+    console.log('\n📍 LEVEL 1: Homepage Discovery');
+    console.log('-'.repeat(80));
+    const homepageUsers = await this.scrapeHomepage();
+    console.log(`✅ Discovered ${homepageUsers.length} users from homepage`);
+
+    // LEVEL 2: Discover users from rooms
+    console.log('\n📍 LEVEL 2: Room Participant Discovery');
+    console.log('-'.repeat(80));
+    const roomUsers = await this.tracker.discoverUsersFromRooms(this.homepageRooms, { complete: this.homepageComplete });
+    console.log(`✅ Discovered ${roomUsers.length} users from rooms`);
+
+    // Combine all discovered users
+    const allDiscoveredUsers = new Set([...homepageUsers, ...roomUsers]);
+    console.log(`\n📊 Total unique users discovered: ${allDiscoveredUsers.size}`);
+    metrics.usersDiscovered.set(allDiscoveredUsers.size);
+
+    // Feed the frontier. An empty pass means the page didn't render,
+    // so keep last pass's online flags rather than clearing them.
+    if (allDiscoveredUsers.size > 0) {
+      await this.frontier.markOnline('user', Array.from(allDiscoveredUsers));
+    }
+    // Live rooms are only marked online, not fetched: a card isn't their room
+    // page, so the frontier still schedules that (settings, creator), online
+    // rooms first
+    if (this.homepageRooms && this.homepageRooms.length > 0) {
+      await this.frontier.markOnline('room', this.homepageRooms.map(r => r.roomId));
+    }
+
+    // LEVEL 3: Profiles and rooms the frontier says are due
+    console.log('\n📍 LEVEL 3: Frontier Crawl');
+    console.log('-'.repeat(80));
+
+    // Nothing fetched on an empty budget should count against the frontier
+    const budgetLeft = !this.governor.budgetExhausted();
+    const dueUsers = budgetLeft ? await this.frontier.next('user', config.frontier.userBatchSize) : [];
+    const dueRooms = budgetLeft ? await this.frontier.next('room', config.frontier.roomBatchSize) : [];
+    const queue = [
+      ...dueUsers.map(entry => ({ type: 'user', ...entry })),
+      ...dueRooms.map(entry => ({ type: 'room', ...entry }))
+    ];
+    console.log(`📋 Due: ${dueUsers.length} users (${dueUsers.filter(u => u.deep).length} deep), ${dueRooms.length} rooms`);
+
+    let tracked = 0;
+    let failed = 0;
+    let skipped = 0;
+    let budgetSpent = null;
+    const total = queue.length;
+
+    await this.pool.run(queue, async (worker, entry) => {
+      this.heartbeat = new Date();
+
+      // Entries left once the budget ran out stay due, untouched
+      if (budgetSpent) {
+        skipped++;
+        return;
+      }
+
+      try {
+        const result = entry.type === 'user'
+          ? await worker.trackUserProfile(entry.id, entry.deep)
+          : await worker.trackRoom(entry.id);
+
+        if (result) {
+          tracked++;
+          await this.frontier.markFetched(entry.type, [entry.id], { deep: entry.deep });
+          console.log(`  [${tracked + failed}/${total}] ✅ ${entry.type} ${entry.id}`);
+        } else {
+          failed++;
+          await this.frontier.markFailed(entry.type, entry.id, 'no data');
+          console.log(`  [${tracked + failed}/${total}] ❌ ${entry.type} ${entry.id}`);
+        }
+
+      } catch (error) {
+        if (error instanceof RequestBudgetError) {
+          budgetSpent = error;
+          skipped++;
+          return;
+        }
+
+        failed++;
+        await this.frontier.markFailed(entry.type, entry.id, error.message);
+        console.error(`  [${tracked + failed}/${total}] ❌ ${entry.type} ${entry.id}: ${error.message}`);
+      }
+    });
+
+    // startTracking() sleeps until the budget resets
+    if (budgetSpent) {
+      console.log(`🪫 ${budgetSpent.message} - ${skipped} due entries left for then`);
+    }
+
+    // Daily rollups + materialized views (no-op until the interval has passed)
+    this.heartbeat = new Date();
+    await this.analytics.runIfDue();
+
+    // Fold this pass's closed sessions into the co-presence graph
+    await this.copresence.build();
+
+    // Get statistics
+    const stats = await this.db.getStats();
+    const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
+
+    const ok = Boolean(this.homepageRooms && this.homepageRooms.length > 0);
+    metrics.iterations.inc({ status: ok ? 'success' : 'error' });
+    metrics.iterationDuration.observe((Date.now() - startTime) / 1000);
+    metrics.lastIterationTimestamp.set(Math.floor(Date.now() / 1000));
+    metrics.usersTracked.set(tracked);
+    metrics.usersFailed.set(failed);
+
+    console.log('\n' + '━'.repeat(80));
+    console.log('📊 ITERATION SUMMARY');
+    console.log('━'.repeat(80));
+    console.log(`✅ Successfully tracked: ${tracked} users/rooms`);
+    console.log(`❌ Failed: ${failed} users/rooms`);
+    console.log(`⏱️  Time elapsed: ${elapsed} minutes`);
+    console.log('\n📈 DATABASE STATISTICS:');
+    console.log(`   👤 Total users: ${stats.user_count}`);
+    console.log(`   🏠 Total rooms: ${stats.room_count}`);
+    console.log(`   📝 Total sessions: ${stats.session_count}`);
+    console.log(`   🔗 Total relationships: ${stats.relationship_count}`);
+    console.log(`   👥 Active participants: ${stats.active_participant_count}`);
+    for (const [pageType, drift] of Object.entries(this.drift.summary())) {
+      console.log(`   🧪 ${pageType} parses: ${drift.samples - drift.failures}/${drift.samples} ok${drift.alerting ? ' 🚨 DRIFT' : ''}`);
+    }
+    const governor = this.governor.state();
+    console.log(`   🚦 Requests today: ${governor.budget.used}${governor.budget.limit ? `/${governor.budget.limit}` : ''}`);
+    if (governor.backoff.active) {
+      console.log(`   🚦 Backing off until ${governor.backoff.until.toISOString()} (${governor.backoff.lastProblem.reason})`);
+    }
+    for (const row of await this.frontier.stats()) {
+      console.log(`   🧭 Frontier ${row.entity_type}s: ${row.total} known, ${row.due} due, ${row.never_fetched} never fetched, ${row.online} online`);
+    }
+    console.log('━'.repeat(80));
+
+    return { ok, tracked, failed, discovered: allDiscoveredUsers.size };
+  }
+
+  /**
+   * Scrape homepage for initial user discovery
+   */
+  async scrapeHomepage() {
+    try {
+      console.log('  🌐 Navigating to Free4Talk homepage...');
+
+      await this.tracker.visit(config.scraper.baseUrl, 'homepage');
+
+      // The rendered cards lack the site's ids; the structured feed has them
+      const parsed = parseHomepage(await this.tracker.page.content());
+      const captured = this.capture ? this.capture.drain() : null;
+      const { users, rooms, complete } = mergeHomepage(parsed, captured);
+
+      if (captured && captured.rooms.length > 0) {
+        console.log(`  📡 Captured: ${captured.users.length} users, ${captured.rooms.length} rooms from network feed${captured.complete ? '' : ' (partial)'}`);
+      }
+      console.log(`  📊 Homepage: ${users.length} users, ${rooms.length}/${parsed.rooms.length} rooms${complete ? '' : ' (incomplete)'}`);
+
+      this.homepageRooms = rooms;
+      this.homepageComplete = complete;
+      await this.drift.record(this.tracker.page, 'homepage', rooms.length === 0 ? 'no_rooms' : null);
+
+      // Store basic user info from homepage
+      for (const user of users) {
+        await this.db.queueUser({
+          username: user.username,
+          displayName: user.displayName,
+          avatarUrl: user.avatarUrl,
+          followerCount: user.followerCount,
+          followingCount: user.followingCount,
+          friendsCount: user.friendsCount,
+          supporterLevel: user.supporterLevel,
+          verificationStatus: user.verificationStatus,
+          source: 'homepage'
+        });
+      }
+
+      // Store rooms from homepage
+      for (const room of rooms) {
+        await this.db.queueRoom(room);
+      }
+      await this.db.flushWrites();
+
+      return users.map(u => u.username);
+
+    } catch (error) {
+      console.error('  ❌ Error scraping homepage:', error.message);
+      this.homepageRooms = null;
+      this.homepageComplete = false;
+      return [];
+    }
+  }
+
+  /**
+   * Helper: Sleep for ms
+   */
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Release the API, browser and database
+   */
+  async close() {
+    if (this.api) {
+      await this.api.stop();
+      console.log('✅ API server stopped');
+    }
+
+    if (this.fixtures) {
+      this.fixtures.flush();
+      console.log(`📼 Fixtures: ${this.fixtures.recorded} recorded, ${this.fixtures.served} served, ${this.fixtures.missed} missing`);
+    }
+
+    if (this.notifier) {
+      await this.notifier.flush();
+    }
+
+    if (this.pool) {
+      await this.pool.close();
+    }
+
+    if (this.browser) {
+      await this.browser.close();
+      console.log('✅ Browser closed');
+    }
+
+    if (this.db) {
+      await this.db.close();
+      console.log('✅ Database connection closed');
+    }
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  async shutdown(code = 0) {
+    console.log('\n🛑 Shutting down...');
+    await this.close();
+
+    console.log('👋 Goodbye!');
+    process.exit(code);
+  }
+}
+
+/**
+ * Helper: Combine the parsed cards with what the network capture saw.
+ * A captured full room list covering every card is used as is; otherwise
+ * cards get their ids from the captured rooms they match and both are
+ * merged by id, the feed's fields winning. Cards still without an id can't
+ * be stored. `complete` is only true when every live room is known, so a
+ * partial pass never signs anyone out of the rooms it missed.
+ */
+function mergeHomepage(parsed, captured) {
+  if (captured && captured.complete && captured.rooms.length >= parsed.rooms.length) {
+    return { users: captured.users, rooms: captured.rooms, complete: true };
+  }
+
+  const cards = assignRoomIds(parsed.rooms, captured ? captured.rooms : []);
+  const keyed = cards.filter(card => card.roomId);
+  const rooms = mergeById(keyed, captured ? captured.rooms : [], 'roomId');
+  const users = mergeById(parsed.users, captured ? captured.users : [], 'username');
+
+  return { users, rooms, complete: keyed.length === cards.length };
+}
+
+/**
+ * Helper: Union of two lists keyed by `key`; non-null fields of `preferred` win
+ */
+function mergeById(fallback, preferred, key) {
+  const merged = new Map(fallback.map(item => [item[key], item]));
+
+  for (const item of preferred) {
+    const observed = Object.fromEntries(Object.entries(item).filter(([, value]) => value !== undefined && value !== null));
+    merged.set(item[key], { ...merged.get(item[key]), ...observed });
+  }
+
+  return Array.from(merged.values());
+}
+
+module.exports = Free4TalkScraper;
@@ -0,0 +1,114 @@
+// sessions.js - Join/leave detection between iterations
+
+class SessionTracker {
+  constructor(db) {
+    this.db = db;
+    // roomId -> Set of usernames seen in that room on the previous pass
+    this.previousParticipants = new Map();
+    this.restored = false;
+  }
+
+  /**
+   * Load currently open sessions so a restart doesn't re-open them
+   */
+  async restore() {
+    const activeSessions = await this.db.getActiveSessions();
+
+    this.previousParticipants.clear();
+    for (const session of activeSessions) {
+      if (!this.previousParticipants.has(session.room_id)) {
+        this.previousParticipants.set(session.room_id, new Set());
+      }
+      this.previousParticipants.get(session.room_id).add(session.username);
+    }
+
+    this.restored = true;
+    console.log(`🔁 Restored ${activeSessions.length} open sessions in ${this.previousParticipants.size} rooms`);
+  }
+
+  /**
+   * Diff the rooms seen on this pass against the previous pass.
+   * `rooms` is an array of { roomId, participants: [{ username }] }. When
+   * `complete` it is the full list of live rooms, and any room missing from
+   * it is treated as closed and everyone still in it signed out; a partial
+   * list leaves the rooms it doesn't mention as they were.
+   */
+  async reconcile(rooms, observedAt = new Date(), { complete = true } = {}) {
+    if (!this.restored) {
+      await this.restore();
+    }
+
+    const joined = [];
+    const left = [];
+    const closedRooms = [];
+    const currentParticipants = new Map();
+
+    for (const room of rooms) {
+      const usernames = new Set((room.participants || []).map(p => p.username).filter(Boolean));
+      const previous = this.previousParticipants.get(room.roomId) || new Set();
+      const present = new Set();
+
+      for (const username of usernames) {
+        if (previous.has(username)) {
+          present.add(username);
+          continue;
+        }
+
+        // Only remember users whose session row was actually opened, so a
+        // failed insert is retried next pass instead of being lost
+        const session = await this.db.openSession(username, room.roomId, observedAt);
+        if (session) {
+          present.add(username);
+          joined.push({ username, roomId: room.roomId });
+        }
+      }
+
+      currentParticipants.set(room.roomId, present);
+
+      for (const username of previous) {
+        if (usernames.has(username)) continue;
+
+        // Likewise a user whose session row couldn't be closed stays active,
+        // so the close is retried next pass instead of the row staying open
+        if (await this.db.closeSession(username, room.roomId, observedAt, 'leave')) {
+          left.push({ username, roomId: room.roomId });
+        } else {
+          present.add(username);
+        }
+      }
+    }
+
+    // Rooms that vanished entirely: close everyone who was still inside.
+    // Off a partial list a missing room may simply not have been seen.
+    for (const [roomId, previous] of this.previousParticipants) {
+      if (currentParticipants.has(roomId)) continue;
+      if (!complete) {
+        currentParticipants.set(roomId, previous);
+        continue;
+      }
+
+      const remaining = new Set();
+
+      for (const username of previous) {
+        if (await this.db.closeSession(username, roomId, observedAt, 'disconnected')) {
+          left.push({ username, roomId });
+        } else {
+          remaining.add(username);
+        }
+      }
+
+      if (remaining.size > 0) {
+        currentParticipants.set(roomId, remaining);
+      } else {
+        closedRooms.push(roomId);
+      }
+    }
+
+    this.previousParticipants = currentParticipants;
+
+    console.log(`🔀 Sessions: ${joined.length} joined, ${left.length} left`);
+    return { joined, left, closedRooms };
+  }
+}
+
+module.exports = SessionTracker;
@@ -0,0 +1,81 @@
+// Network capture normalisation (capture.js) against saved socket.io frames - no browser needed
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { NetworkCapture, normaliseRoom, parseFrame } = require('../capture');
+
+function frame(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8').trim();
+}
+
+test('socket.io frames decode to their event and payload', () => {
+  const [event, payload] = parseFrame(frame('socket-rooms.txt'));
+
+  assert.strictEqual(event, 'rooms');
+  assert.strictEqual(payload.rooms.length, 2);
+
+  // Pings and other non-JSON frames are skipped
+  assert.strictEqual(parseFrame('2'), null);
+  assert.strictEqual(parseFrame('40'), null);
+  assert.strictEqual(parseFrame('42[not json'), null);
+  assert.strictEqual(parseFrame(Buffer.from('42[]')), null);
+});
+
+test('a full room list is complete', () => {
+  const capture = new NetworkCapture();
+  capture.ingest(parseFrame(frame('socket-rooms.txt')));
+  const { rooms, users, complete } = capture.drain();
+
+  assert.strictEqual(complete, true);
+  assert.deepStrictEqual(rooms.map(r => r.roomId), ['TWFoYWJoYXJhdA', 'Rk9uZUNhdA']);
+  assert.deepStrictEqual(users.map(u => u.username).sort(), ['101234567890', '105550000000', '109876543210']);
+
+  // Draining starts over
+  assert.deepStrictEqual(capture.drain(), { rooms: [], users: [], complete: false });
+});
+
+test('a single-room update is not a complete list', () => {
+  const capture = new NetworkCapture();
+  capture.ingest(parseFrame(frame('socket-room-update.txt')));
+  const { rooms, complete } = capture.drain();
+
+  assert.strictEqual(complete, false);
+  assert.deepStrictEqual(rooms.map(r => r.roomId), ['Rk9uZUNhdA']);
+  assert.deepStrictEqual(rooms[0].participants.map(p => p.username), ['109876543210', '101234567890']);
+});
+
+test('the creator is the owner, everyone else a listener', () => {
+  const [saga] = parseFrame(frame('socket-rooms.txt'))[1].rooms.map(normaliseRoom);
+
+  assert.deepStrictEqual(saga.participants.map(p => [p.username, p.role]),
+    [['105550000000', 'owner'], ['101234567890', 'listener']]);
+  assert.strictEqual(saga.createdBy, '105550000000');
+  assert.strictEqual(saga.creatorName, 'Carl Sagan');
+  assert.strictEqual(saga.creatorIsVerified, true);
+
+  assert.strictEqual(saga.level, 'Advanced');
+  assert.strictEqual(saga.maxCapacity, 4);
+  assert.strictEqual(saga.allowsUnlimited, false);
+  assert.strictEqual(saga.isLocked, false);
+  assert.strictEqual(saga.micRequired, true);
+  assert.strictEqual(saga.micAllowed, true);
+  assert.strictEqual(saga.isFull, false);
+  assert.strictEqual(saga.participants[0].user.followerCount, 54);
+});
+
+test('settings a payload does not carry stay null', () => {
+  const [, cat] = parseFrame(frame('socket-rooms.txt'))[1].rooms.map(normaliseRoom);
+
+  for (const field of ['level', 'maxCapacity', 'allowsUnlimited', 'isLocked', 'noMic', 'micAllowed', 'micRequired', 'isFull', 'isPublic', 'createdBy', 'creatorIsVerified']) {
+    assert.strictEqual(cat[field], null, field);
+  }
+  // Without a creator nobody is the owner
+  assert.deepStrictEqual(cat.participants.map(p => p.role), ['listener']);
+  assert.strictEqual(cat.participants[0].user.followerCount, 19);
+  assert.strictEqual(cat.participants[0].user.followingCount, null);
+
+  // A locked room isn't necessarily private
+  assert.strictEqual(normaliseRoom({ id: 'r', language: 'English', clients: [], isLocked: true }).isPublic, null);
+  assert.strictEqual(normaliseRoom({ id: 'r', language: 'English', clients: [], settings: { isPrivate: true } }).isPublic, false);
+});
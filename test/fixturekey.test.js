@@ -0,0 +1,26 @@
+// fixtureKey must match a replayed request to the one that was recorded
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { fixtureKey } = require('../fixtures');
+
+test('socket.io cache busters and session ids do not change the key', () => {
+  const recorded = fixtureKey('GET', 'https://free4talk.com/socket.io/?EIO=3&transport=polling&t=NxA1b2c&sid=abc123');
+  const replayed = fixtureKey('GET', 'https://free4talk.com/socket.io/?EIO=3&transport=polling&t=NxZ9y8x&sid=def456');
+
+  assert.strictEqual(replayed, recorded);
+});
+
+test('the same parameters on other requests are part of the key', () => {
+  const key = fixtureKey('GET', 'https://free4talk.com/api/rooms?t=1&_=5');
+
+  assert.notStrictEqual(fixtureKey('GET', 'https://free4talk.com/api/rooms?t=2&_=5'), key);
+  assert.notStrictEqual(fixtureKey('GET', 'https://free4talk.com/api/rooms?t=1&_=6'), key);
+});
+
+test('other query parameters, methods and fragments', () => {
+  const key = fixtureKey('GET', 'https://free4talk.com/room/abc?key=1');
+
+  assert.notStrictEqual(fixtureKey('GET', 'https://free4talk.com/room/abc?key=2'), key);
+  assert.notStrictEqual(fixtureKey('POST', 'https://free4talk.com/room/abc?key=1'), key);
+  assert.strictEqual(fixtureKey('GET', 'https://free4talk.com/room/abc?key=1#top'), key);
+});
@@ -0,0 +1,53 @@
+// Field-level merge rules (merge.js) - no database needed
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { observedColumns, observedProvenance, mergeObservations, userUpsertStatement } = require('../merge');
+const { parseProfilePage } = require('../parser');
+
+test('a failed profile parse observes no columns', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'debug-page.html'), 'utf8');
+  const userData = parseProfilePage(html, '105550000000');
+
+  assert.deepStrictEqual(observedColumns(userData), []);
+
+  // ...so the upsert gives no column profile provenance
+  const { values } = userUpsertStatement([{ ...userData, source: 'profile' }]);
+  assert.deepStrictEqual(JSON.parse(values[1]), {});
+});
+
+test('only fields a page showed are observed', () => {
+  assert.deepStrictEqual(observedColumns({ username: 'u', displayName: 'U', followerCount: 0, avatarUrl: null }),
+    ['username', 'followers_count']);
+});
+
+test('the more trusted observation wins, the other fills gaps', () => {
+  const profile = { username: 'u', source: 'profile', displayName: 'From profile', followerCount: 10 };
+  const homepage = { username: 'u', source: 'homepage', displayName: 'From card', avatarUrl: 'a.png' };
+  const merged = mergeObservations(profile, homepage);
+
+  assert.strictEqual(merged.source, 'profile');
+  assert.strictEqual(merged.displayName, 'From profile');
+  assert.strictEqual(merged.followerCount, 10);
+  assert.strictEqual(merged.avatarUrl, 'a.png');
+});
+
+test('a gap filled by a less trusted page keeps that page as its provenance', () => {
+  const homepage = { username: 'u', source: 'homepage', displayName: 'From card', avatarUrl: 'a.png' };
+  const profile = { username: 'u', source: 'profile', displayName: 'From profile', followerCount: 10 };
+  const merged = mergeObservations(homepage, profile);
+
+  assert.deepStrictEqual(observedProvenance(merged), {
+    username: { source: 'profile', rank: 3 },
+    user_avatar: { source: 'homepage', rank: 2 },
+    followers_count: { source: 'profile', rank: 3 }
+  });
+
+  // Merging a third observation goes by each field's own source
+  const room = { username: 'u', source: 'room', avatarUrl: 'b.png', followerCount: 11 };
+  const again = mergeObservations(merged, room);
+  assert.strictEqual(again.avatarUrl, 'b.png');
+  assert.strictEqual(again.followerCount, 10);
+  assert.deepStrictEqual(again.fieldSources, { displayName: 'profile', avatarUrl: 'room', followerCount: 'profile' });
+});
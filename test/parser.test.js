@@ -0,0 +1,170 @@
+// Parser tests against saved pages - no browser or database needed
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseHomepage, assignRoomIds, parseProfilePage, parseRelationshipList, parseRoomDetails } = require('../parser');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// The homepage as the site rendered it, checked in at the repo root
+const livePage = fs.readFileSync(path.join(__dirname, '..', 'debug-page.html'), 'utf8');
+
+test('live homepage cards and their clients', () => {
+  const { rooms, users, languages } = parseHomepage(livePage);
+
+  // Two of the 15 cards are empty placeholders
+  assert.strictEqual(rooms.length, 13);
+  // The live markup has no room or user ids
+  assert.ok(rooms.every(room => room.roomId === null && room.participants.length === 0));
+  assert.deepStrictEqual(users, []);
+
+  const [urdu, , saga, anything] = rooms;
+  assert.deepStrictEqual([urdu.language, urdu.secondLanguage, urdu.level, urdu.topic],
+    ['Urdu', null, 'Any Level', 'go my sweetu love cat..2.99K subscribers']);
+  assert.strictEqual(urdu.maxCapacity, 1);
+  assert.deepStrictEqual(urdu.clients.map(c => [c.displayName, c.followerCount, c.role]), [['ximena', 2, 'owner']]);
+  assert.match(urdu.clients[0].avatarUrl, /^https:\/\/lh3\.googleusercontent\.com\//);
+  assert.strictEqual(urdu.creatorName, 'ximena');
+
+  assert.deepStrictEqual([saga.language, saga.secondLanguage, saga.level, saga.topic],
+    ['English', 'Nepali', 'Advanced', 'Mahabharat Saga']);
+  assert.deepStrictEqual(saga.clients.map(c => [c.displayName, c.followerCount, c.role]), [['Carl Sagan', 54, 'listener']]);
+  assert.match(saga.clients[0].avatarUrl, /^data:image\/png;base64,/);
+  // No free slot and not full: the capacity isn't on the card
+  assert.strictEqual(saga.maxCapacity, null);
+
+  // One client and one empty slot
+  assert.strictEqual(anything.maxCapacity, 2);
+  assert.strictEqual(anything.participantCount, 1);
+
+  assert.deepStrictEqual(languages.slice(0, 2), [{ language: 'English', roomCount: 376 }, { language: 'Hindi', roomCount: 68 }]);
+});
+
+test('live cards take their ids from the matching captured room', () => {
+  const { rooms } = parseHomepage(livePage);
+  const captured = [
+    { roomId: 'TWFoYWJoYXJhdA', language: 'English', topic: 'Mahabharat Saga', participants: [{ username: '105550000000', displayName: 'Carl Sagan' }] },
+    // Two captured rooms look like this card - neither is picked
+    { roomId: 'a', language: 'English', topic: null, participants: [] },
+    { roomId: 'b', language: 'English', topic: null, participants: [] }
+  ];
+
+  const cards = assignRoomIds(rooms, captured);
+  const keyed = cards.filter(card => card.roomId);
+
+  assert.deepStrictEqual(keyed.map(card => card.roomId), ['TWFoYWJoYXJhdA']);
+  assert.deepStrictEqual(keyed[0].participants.map(p => p.username), ['105550000000']);
+});
+
+// The live cards above with room and profile links added, as a card that
+// carries the site's ids would have them
+test('ids on a card are used when it has them', () => {
+  const { rooms, users } = parseHomepage(fixture('homepage.html'));
+
+  // The third card has no room link, like every live one, but its client
+  // still has a profile link
+  assert.deepStrictEqual(rooms.map(r => r.roomId), ['Rk9uZUNhdA', 'TWFoYWJoYXJhdA', null]);
+  assert.deepStrictEqual(users.map(u => u.username), ['101234567890', '109876543210']);
+
+  const [full, saga] = rooms;
+  assert.strictEqual(full.url, '/room/Rk9uZUNhdA?key=7f3a');
+  assert.strictEqual(full.language, 'Urdu');
+  assert.strictEqual(full.level, 'Any Level');
+  assert.strictEqual(full.maxCapacity, 1);
+  assert.strictEqual(full.creatorName, 'ximena');
+  assert.deepStrictEqual(full.participants.map(p => [p.username, p.displayName, p.role, p.followerCount]),
+    [['101234567890', 'ximena', 'owner', 2]]);
+
+  // The client has no profile link: counted, but not a participant
+  assert.strictEqual(saga.secondLanguage, 'Nepali');
+  assert.strictEqual(saga.participantCount, 1);
+  assert.deepStrictEqual(saga.participants, []);
+});
+
+test('profile page counts and details', () => {
+  const profile = parseProfilePage(fixture('profile.html'), '105550000000');
+
+  assert.strictEqual(profile.username, '105550000000');
+  assert.strictEqual(profile.displayName, 'Carl Sagan');
+  assert.deepStrictEqual([profile.followerCount, profile.followingCount, profile.friendsCount], [1204, 87, 31]);
+  assert.strictEqual(profile.gender, 'male');
+  assert.deepStrictEqual(profile.languages, ['English', 'Nepali']);
+  assert.deepStrictEqual(profile.rooms.map(r => r.roomId), ['TWFoYWJoYXJhdA']);
+  assert.deepStrictEqual(profile.warnings, []);
+});
+
+test('profile page without a profile section is flagged', () => {
+  const profile = parseProfilePage(livePage, '105550000000');
+  assert.deepStrictEqual(profile.warnings, ['no_profile_section']);
+});
+
+test('relationship list skips the owner and keeps site ids', () => {
+  const related = parseRelationshipList(fixture('followers.html'), '105550000000', 'followers');
+
+  assert.deepStrictEqual(related.map(u => u.username), ['101234567890', '109876543210']);
+  assert.strictEqual(related[1].avatarUrl, null);
+});
+
+test('room page without a room section is a failed parse', () => {
+  assert.strictEqual(parseRoomDetails(livePage, 'Rk9uZUNhdA'), null);
+});
+
+test('homepage cards read the join button', () => {
+  const [full, , saga, , chat] = parseHomepage(livePage).rooms;
+
+  // "This group is full." says nothing about mics
+  assert.strictEqual(full.isFull, true);
+  assert.strictEqual(full.noMic, null);
+  assert.strictEqual(full.micAllowed, null);
+
+  // "Join and talk now!"
+  assert.strictEqual(saga.isFull, false);
+  assert.strictEqual(saga.noMic, false);
+  assert.strictEqual(saga.micAllowed, true);
+  assert.strictEqual(saga.isLocked, null);
+  assert.strictEqual(saga.micRequired, null);
+
+  // "Join and chat now!"
+  assert.strictEqual(chat.noMic, true);
+  assert.strictEqual(chat.micAllowed, false);
+});
+
+test('room page settings come from its badges', () => {
+  const room = parseRoomDetails(fixture('room.html'), 'TWFoYWJoYXJhdA');
+
+  assert.strictEqual(room.roomName, 'Mahabharat Saga');
+  assert.strictEqual(room.level, 'Intermediate');
+  // "2/10" is two of ten places taken
+  assert.strictEqual(room.maxCapacity, 10);
+  assert.strictEqual(room.allowsUnlimited, false);
+  assert.strictEqual(room.micRequired, true);
+  assert.strictEqual(room.noMic, false);
+  assert.strictEqual(room.isLocked, false);
+  assert.strictEqual(room.isPublic, true);
+  assert.strictEqual(room.isFull, false);
+  assert.deepStrictEqual(room.participants.map(p => [p.username, p.role]),
+    [['105550000000', 'owner'], ['101234567890', 'listener']]);
+  assert.strictEqual(room.participantCount, 2);
+});
+
+test('the room creator block is not a participant', () => {
+  const room = parseRoomDetails(fixture('room.html'), 'TWFoYWJoYXJhdA');
+
+  assert.strictEqual(room.createdBy, '109876543210');
+  assert.strictEqual(room.creatorName, 'Ada');
+  assert.strictEqual(room.creatorAvatarUrl, 'https://lh3.googleusercontent.com/a/ada');
+  assert.strictEqual(room.creatorIsVerified, true);
+  assert.ok(!room.participants.some(p => p.username === '109876543210'));
+});
+
+test('room page settings it does not show stay null', () => {
+  const room = parseRoomDetails(fixture('room-bare.html'), 'TWFoYWJoYXJhdA');
+
+  assert.strictEqual(room.roomName, 'Mahabharat Saga');
+  for (const field of ['maxCapacity', 'allowsUnlimited', 'isLocked', 'micAllowed', 'micRequired', 'noMic', 'isFull', 'isPublic', 'creatorIsVerified']) {
+    assert.strictEqual(room[field], null, field);
+  }
+});
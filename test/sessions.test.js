@@ -0,0 +1,59 @@
+// SessionTracker.reconcile against an in-memory stand-in for the database
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SessionTracker = require('../sessions');
+
+function fakeDb(openSessions, { closeFails = false } = {}) {
+  return {
+    closed: [],
+    async getActiveSessions() {
+      return openSessions.map(([username, roomId]) => ({ username, room_id: roomId }));
+    },
+    async openSession(username, roomId) {
+      return { username, roomId };
+    },
+    async closeSession(username, roomId, leftAt, eventType) {
+      if (closeFails) return null;
+      this.closed.push([username, roomId, eventType]);
+      return [{ username, roomId }];
+    }
+  };
+}
+
+test('a complete list closes rooms that vanished', async () => {
+  const db = fakeDb([['a', 'r1'], ['b', 'r2']]);
+  const sessions = new SessionTracker(db);
+
+  const { left, closedRooms } = await sessions.reconcile([{ roomId: 'r1', participants: [{ username: 'a' }] }]);
+
+  assert.deepStrictEqual(left, [{ username: 'b', roomId: 'r2' }]);
+  assert.deepStrictEqual(closedRooms, ['r2']);
+  assert.deepStrictEqual(db.closed, [['b', 'r2', 'disconnected']]);
+});
+
+test('a partial list leaves missing rooms open', async () => {
+  const db = fakeDb([['a', 'r1'], ['b', 'r2']]);
+  const sessions = new SessionTracker(db);
+
+  const { left, closedRooms } = await sessions.reconcile(
+    [{ roomId: 'r1', participants: [{ username: 'a' }] }],
+    new Date(),
+    { complete: false }
+  );
+
+  assert.deepStrictEqual(left, []);
+  assert.deepStrictEqual(closedRooms, []);
+  assert.deepStrictEqual(Array.from(sessions.previousParticipants.get('r2')), ['b']);
+});
+
+test('users whose session could not be closed stay active', async () => {
+  const db = fakeDb([['a', 'r1'], ['b', 'r2']], { closeFails: true });
+  const sessions = new SessionTracker(db);
+
+  const { left, closedRooms } = await sessions.reconcile([{ roomId: 'r1', participants: [] }]);
+
+  assert.deepStrictEqual(left, []);
+  assert.deepStrictEqual(closedRooms, []);
+  assert.deepStrictEqual(Array.from(sessions.previousParticipants.get('r1')), ['a']);
+  assert.deepStrictEqual(Array.from(sessions.previousParticipants.get('r2')), ['b']);
+});
@@ -1,12 +1,36 @@
 // tracker.js - FIXED VERSION
-const { parseProfilePage, parseRelationshipList, parseRoomDetails } = require('./parser');
+const { parseHomepage, parseProfilePage, parseRelationshipList, parseRoomDetails } = require('./parser');
+const SessionTracker = require('./sessions');
+const GrowthMonitor = require('./growth');
+const { RequestBudgetError } = require('./governor');
+const { metrics } = require('./metrics');
+const config = require('./config');
+
+// Parser warnings meaning the profile page yielded nothing but placeholders.
+// All-zero counts are only a warning: a new account really has them.
+const PROFILE_PARSE_FAILURES = ['no_profile_section', 'parse_error'];
 
 class Free4TalkTracker {
-  constructor(page, db) {
+  /**
+   * Pool workers pass in shared trackedUsers/trackedRooms sets and governor;
+   * a browser manager, when given, swaps in a fresh page before navigating
+   * once this one crashed or is due for recycling; a frontier, when given, is fed every user and room found along the way,
+   * a drift detector is told how every parse went, and a notifier sees
+   * joins/leaves and follower changes
+   */
+  constructor(page, db, options = {}) {
     this.page = page;
     this.db = db;
-    this.trackedUsers = new Set();
-    this.trackedRooms = new Set();
+    this.browser = options.browser || null;
+    this.governor = options.governor || null;
+    this.frontier = options.frontier || null;
+    this.drift = options.drift || null;
+    this.notifier = options.notifier || null;
+    this.trackedUsers = options.trackedUsers || new Set();
+    this.trackedRooms = options.trackedRooms || new Set();
+    // Survives resetTracking() - it needs the previous iteration to diff against
+    this.sessions = new SessionTracker(db);
+    this.growth = new GrowthMonitor(db);
   }
 
   /**
@@ -18,21 +42,17 @@ class Free4TalkTracker {
       if (this.trackedUsers.has(username)) {
         return null;
       }
+      // Claim it up front so another worker doesn't pick it up meanwhile
+      this.trackedUsers.add(username);
 
       console.log(`\n👤 Tracking user: ${username}${deep ? ' (deep)' : ''}`);
 
       // Navigate to user profile
-      const profileUrl = `https://free4talk.com/profile/${username}`;
-      await this.page.goto(profileUrl, { 
-        waitUntil: 'networkidle2',
-        timeout: 30000 
-      });
+      const profileUrl = `${config.scraper.baseUrl}/profile/${username}`;
+      await this.visit(profileUrl, 'profile');
 
       // Wait for profile to load
-      await this.page.waitForSelector('.profile-section, .user-profile, body', { timeout: 5000 });
-
-      // Small delay for dynamic content
-      await this.sleep(1000);
+      await this.page.waitForSelector('.profile-section, .user-profile, body', { timeout: config.scraper.selectorTimeoutMs });
 
       // Get full HTML
       const html = await this.page.content();
@@ -41,21 +61,34 @@ class Free4TalkTracker {
       const userData = parseProfilePage(html, username);
 
       // Validate data
+      const warnings = [...userData.warnings];
       if (userData.followerCount === 0 && 
           userData.followingCount === 0 && 
           userData.friendsCount === 0) {
         console.warn(`⚠️  ${username} has all zero counts - possible parsing error`);
+        metrics.parseWarnings.inc({ reason: 'all_zero_counts' });
+        warnings.push('all_zero_counts');
       }
+      // A failed parse stores nothing: its placeholder zeros would overwrite
+      // real counts and show up as growth spikes
+      const failure = warnings.find(warning => PROFILE_PARSE_FAILURES.includes(warning));
+      await this.reportParse('profile', failure || warnings[0] || null);
 
-      // Store in database
-      const user = await this.db.upsertUser(userData);
-      this.trackedUsers.add(username);
+      if (failure) {
+        console.error(`❌ Could not parse profile of ${username} (${failure})`);
+        return null;
+      }
+
+      const user = await this.db.upsertUser({ ...userData, source: 'profile' });
+      const change = await this.growth.record(userData);
+      if (this.notifier && change && change.previous) {
+        this.notifier.onFollowerChange(userData, change.previous.followers_count, change.current.followers_count);
+      }
 
       console.log(`✅ Tracked ${username}: ${userData.followerCount} followers, ${userData.followingCount} following, ${userData.friendsCount} friends`);
 
       // If deep tracking, also scrape relationships
       if (deep && (userData.followerCount > 0 || userData.followingCount > 0 || userData.friendsCount > 0)) {
-        await this.sleep(2000);
         await this.trackUserRelationships(username, userData);
       }
 
@@ -65,11 +98,16 @@ class Free4TalkTracker {
         for (const room of userData.rooms) {
           await this.trackRoom(room.roomId, room);
         }
+        await this.db.flushWrites();
       }
 
       return user;
 
     } catch (error) {
+      this.trackedUsers.delete(username);
+      // Out of budget isn't this user's fault - the caller puts it back
+      if (error instanceof RequestBudgetError) throw error;
+
       if (error.message.includes('net::ERR_NAME_NOT_RESOLVED') || 
           error.message.includes('Navigation timeout')) {
         console.error(`❌ Profile not found or timeout: ${username}`);
@@ -89,151 +127,189 @@ class Free4TalkTracker {
 
       // Track followers
       if (userData.followerCount > 0) {
-        const followers = await this.scrapeRelationshipList(username, 'followers');
-        if (followers.length > 0) {
-          // Ensure all followers exist as users
-          for (const follower of followers) {
-            await this.db.upsertUser({
-              username: follower.username,
-              displayName: follower.displayName,
-              avatarUrl: follower.avatarUrl,
-              followerCount: 0,
-              followingCount: 0,
-              friendsCount: 0
-            });
-          }
-
-          // Add relationships
-          const followerUsernames = followers.map(f => f.username);
-          await this.db.bulkInsertRelationships(username, followerUsernames, 'follower');
-        }
+        await this.trackRelationshipList(username, 'followers', 'follower', userData.followerCount);
       }
 
       // Track following
       if (userData.followingCount > 0) {
-        await this.sleep(2000);
-        const following = await this.scrapeRelationshipList(username, 'following');
-        if (following.length > 0) {
-          // Ensure all followed users exist
-          for (const followed of following) {
-            await this.db.upsertUser({
-              username: followed.username,
-              displayName: followed.displayName,
-              avatarUrl: followed.avatarUrl,
-              followerCount: 0,
-              followingCount: 0,
-              friendsCount: 0
-            });
-          }
-
-          // Add relationships
-          const followingUsernames = following.map(f => f.username);
-          await this.db.bulkInsertRelationships(username, followingUsernames, 'following');
-        }
+        await this.trackRelationshipList(username, 'following', 'following', userData.followingCount);
       }
 
       // Track friends
       if (userData.friendsCount > 0) {
-        await this.sleep(2000);
-        const friends = await this.scrapeRelationshipList(username, 'friends');
-        if (friends.length > 0) {
-          // Ensure all friends exist as users
-          for (const friend of friends) {
-            await this.db.upsertUser({
-              username: friend.username,
-              displayName: friend.displayName,
-              avatarUrl: friend.avatarUrl,
-              followerCount: 0,
-              followingCount: 0,
-              friendsCount: 0
-            });
-          }
-
-          // Add relationships (bidirectional for friends)
-          const friendUsernames = friends.map(f => f.username);
-          await this.db.bulkInsertRelationships(username, friendUsernames, 'friend');
-        }
+        await this.trackRelationshipList(username, 'friends', 'friend', userData.friendsCount);
       }
 
       console.log(`✅ Completed relationship tracking for ${username}`);
 
     } catch (error) {
+      if (error instanceof RequestBudgetError) throw error;
       console.error(`Error tracking relationships for ${username}:`, error.message);
     }
   }
 
   /**
-   * NEW: Scrape a relationship list (followers/following/friends)
+   * Scrape one list and store it. A complete list is diffed against stored
+   * edges (ending the missing ones); a partial one can only add edges.
+   */
+  async trackRelationshipList(username, listType, relationshipType, expectedCount) {
+    const { users: related, complete } = await this.scrapeRelationshipList(username, listType, expectedCount);
+    if (related.length === 0) return;
+
+    // Ensure all listed users exist
+    for (const user of related) {
+      await this.db.queueUser({
+        username: user.username,
+        displayName: user.displayName,
+        avatarUrl: user.avatarUrl,
+        source: 'relationship_list'
+      });
+    }
+
+    const relatedUsernames = related.map(u => u.username);
+
+    if (complete) {
+      // The diff runs against stored users, so they have to be written first
+      await this.db.flushWrites();
+      await this.db.syncRelationships(username, relatedUsernames, relationshipType);
+    } else {
+      console.log(`  ⚠️  Partial ${listType} list - adding edges without diffing`);
+      await this.db.queueRelationships(username, relatedUsernames, relationshipType);
+      await this.db.flushWrites();
+    }
+
+    await this.enqueue('user', relatedUsernames);
+  }
+
+  /**
+   * NEW: Scrape a relationship list (followers/following/friends).
+   * Scrolls / clicks "load more" until `expectedCount` users are captured or
+   * the list stops growing. Returns { users, expected, complete, completeness, stopReason }.
    */
-  async scrapeRelationshipList(username, type) {
+  async scrapeRelationshipList(username, type, expectedCount = 0) {
+    const { maxRounds, stallRounds, waitMs } = config.scraper.relationshipLists;
+    const captured = new Map();
+    let stopReason = 'max_rounds';
+
     try {
-      const url = `https://free4talk.com/profile/${username}/${type}`;
+      const url = `${config.scraper.baseUrl}/profile/${username}/${type}`;
       console.log(`  📋 Scraping ${type} from ${url}`);
 
-      await this.page.goto(url, { 
-        waitUntil: 'networkidle2',
-        timeout: 30000 
-      });
+      await this.visit(url, 'relationships');
 
-      await this.sleep(1000);
+      let stalled = 0;
 
-      // Get HTML
-      const html = await this.page.content();
+      for (let round = 0; round < maxRounds; round++) {
+        // Accumulate across rounds - virtualised lists drop items scrolled out of view
+        const before = captured.size;
+        const html = await this.page.content();
+        for (const user of parseRelationshipList(html, username, type)) {
+          captured.set(user.username, user);
+        }
 
-      // Parse relationship list
-      const users = parseRelationshipList(html, username, type);
+        if (expectedCount > 0 && captured.size >= expectedCount) {
+          stopReason = 'count_reached';
+          break;
+        }
 
-      console.log(`  ✅ Found ${users.length} ${type}`);
-      return users;
+        stalled = captured.size > before ? 0 : stalled + 1;
+        if (stalled >= stallRounds) {
+          stopReason = 'stalled';
+          break;
+        }
+
+        await this.loadMore();
+        await this.sleep(waitMs);
+      }
 
     } catch (error) {
+      if (error instanceof RequestBudgetError) throw error;
       console.error(`  ❌ Error scraping ${type}:`, error.message);
-      return [];
+      stopReason = 'error';
     }
+
+    const users = Array.from(captured.values());
+    if (stopReason !== 'error') {
+      await this.reportParse('relationships', expectedCount > 0 && users.length === 0 ? 'no_users' : null);
+    }
+    const completeness = expectedCount > 0 ? Math.min(users.length / expectedCount, 1) : 1;
+    const complete = stopReason === 'count_reached' || (expectedCount === 0 && stopReason !== 'error');
+
+    metrics.relationshipListCompleteness.observe({ type }, completeness);
+    console.log(`  ${complete ? '✅' : '⚠️ '} Found ${users.length}/${expectedCount} ${type} ` +
+                `(${Math.round(completeness * 100)}% complete, ${stopReason})`);
+
+    return { users, expected: expectedCount, complete, completeness, stopReason };
+  }
+
+  /**
+   * Helper: Click any "load more" button, then scroll the window and every
+   * scrollable container to the bottom to trigger infinite scroll
+   */
+  async loadMore() {
+    const button = this.page.locator(
+      'button:has-text("Load more"), button:has-text("Show more"), .ant-list-loadmore button'
+    ).first();
+
+    if (await button.isVisible().catch(() => false)) {
+      await button.click({ timeout: 2000 }).catch(() => {});
+    }
+
+    await this.page.evaluate(() => {
+      window.scrollTo(0, document.body.scrollHeight);
+      for (const el of document.querySelectorAll('*')) {
+        if (el.scrollHeight > el.clientHeight + 10 &&
+            /(auto|scroll)/.test(getComputedStyle(el).overflowY)) {
+          el.scrollTop = el.scrollHeight;
+        }
+      }
+    });
   }
 
   /**
-   * Track a room and its participants
+   * Track a room and its participants. With `roomData` from a page that's
+   * already open, the room and participant writes are left queued for the caller to flush.
+   * Only room page fetches count as tracked: a homepage card of a room
+   * doesn't stop its page being scraped in the same pass.
    */
   async trackRoom(roomId, roomData = null) {
+    const scraped = !roomData;
+
     try {
-      // Skip if recently tracked
-      if (this.trackedRooms.has(roomId)) {
-        return null;
+      // Skip if its page was recently scraped
+      if (scraped) {
+        if (this.trackedRooms.has(roomId)) {
+          return null;
+        }
+        this.trackedRooms.add(roomId);
       }
 
       console.log(`\n🏠 Tracking room: ${roomId}`);
 
       // If we don't have room data, scrape it
       if (!roomData) {
-        const roomUrl = `https://free4talk.com/room/${roomId}`;
-        await this.page.goto(roomUrl, { 
-          waitUntil: 'networkidle2',
-          timeout: 30000 
-        });
+        const roomUrl = `${config.scraper.baseUrl}/room/${roomId}`;
+        await this.visit(roomUrl, 'room');
 
-        await this.sleep(1000);
         const html = await this.page.content();
         roomData = parseRoomDetails(html, roomId);
+        await this.reportParse('room', roomData ? null : 'no_room_section');
       }
 
       if (!roomData) {
         console.warn(`⚠️  Could not get data for room ${roomId}`);
+        this.trackedRooms.delete(roomId);
         return null;
       }
 
-      // Store room
-      const room = await this.db.upsertRoom({
+      // Store room - through the write buffer, where a homepage card for the
+      // same room may already be queued
+      const room = {
+        ...roomData,
         roomId: roomId,
-        roomName: roomData.roomName,
-        topic: roomData.topic,
-        language: roomData.language,
-        isPublic: roomData.isPublic,
-        participantCount: roomData.participantCount || roomData.participants?.length || 0,
-        createdBy: roomData.createdBy || null
-      });
-
-      this.trackedRooms.add(roomId);
+        participantCount: roomData.participantCount || roomData.participants?.length || 0
+      };
+      await this.db.queueRoom(room);
 
       // Track participants
       if (roomData.participants && roomData.participants.length > 0) {
@@ -241,60 +317,51 @@ class Free4TalkTracker {
 
         // Ensure all participants exist as users
         for (const participant of roomData.participants) {
-          await this.db.upsertUser({
+          await this.db.queueUser({
             username: participant.username,
             displayName: participant.displayName,
-            avatarUrl: null,
-            followerCount: 0,
-            followingCount: 0,
-            friendsCount: 0
+            avatarUrl: participant.avatarUrl,
+            source: 'room'
           });
         }
 
         // Add to room_participants table
-        await this.db.bulkAddRoomParticipants(roomId, roomData.participants);
+        await this.db.queueParticipants(roomId, roomData.participants);
+        await this.enqueue('user', roomData.participants.map(p => p.username));
+      }
+
+      if (scraped) {
+        await this.db.flushWrites();
       }
 
-      console.log(`✅ Tracked room: ${roomData.roomName}`);
+      console.log(`✅ Tracked room: ${roomData.roomName || roomId}`);
       return room;
 
     } catch (error) {
+      this.trackedRooms.delete(roomId);
+      if (error instanceof RequestBudgetError) throw error;
       console.error(`❌ Error tracking room ${roomId}:`, error.message);
       return null;
     }
   }
 
   /**
-   * NEW: Discover users from rooms on homepage
+   * NEW: Discover users from rooms on homepage.
+   * Uses rooms already collected by the homepage pass when given;
+   * `complete` says whether they are all of the live rooms.
    */
-  async discoverUsersFromRooms() {
+  async discoverUsersFromRooms(homepageRooms = null, { complete = false } = {}) {
     try {
       console.log('\n🔍 Discovering users from rooms...');
 
-      // Get all room cards from current page
-      const rooms = await this.page.evaluate(() => {
-        const roomElements = document.querySelectorAll('.room-card, [data-room-id]');
-        return Array.from(roomElements).map(room => {
-          const roomId = room.getAttribute('data-room-id') || 
-                        room.querySelector('[data-room-id]')?.getAttribute('data-room-id');
-          const roomName = room.querySelector('.room-name, .room-title')?.textContent?.trim();
-
-          const participants = [];
-          room.querySelectorAll('.participant, [data-username]').forEach(p => {
-            const username = p.getAttribute('data-username')?.replace('@', '');
-            const role = p.getAttribute('data-role') || 'listener';
-            if (username) {
-              participants.push({ username, role });
-            }
-          });
-
-          return {
-            roomId: roomId || roomName,
-            roomName: roomName || roomId,
-            participants: participants
-          };
-        }).filter(r => r.roomId);
-      });
+      let rooms = homepageRooms;
+      if (!rooms) {
+        // Parse room cards from the current page
+        const html = await this.page.content();
+        const parsed = parseHomepage(html);
+        rooms = parsed.rooms.filter(room => room.roomId);
+        complete = rooms.length === parsed.rooms.length;
+      }
 
       console.log(`📊 Found ${rooms.length} rooms on page`);
 
@@ -310,6 +377,29 @@ class Free4TalkTracker {
         }
       }
 
+      // Sessions and snapshots below reference these users and rooms
+      await this.db.flushWrites();
+
+      // An empty page almost always means it failed to render, not that
+      // every room closed at once - don't sign everybody out on that
+      if (rooms.length > 0) {
+        const observedAt = new Date();
+        const changes = await this.sessions.reconcile(rooms, observedAt, { complete });
+        const { closedRooms } = changes;
+
+        if (this.notifier) {
+          this.notifier.onSessions(changes, rooms);
+        }
+
+        // Snapshot every live room, plus an empty inactive one for rooms that closed
+        await this.db.insertRoomSnapshots([
+          ...rooms.map(room => ({ ...room, isActive: true })),
+          ...closedRooms.map(roomId => ({ roomId, participants: [], isActive: false }))
+        ], observedAt);
+      } else {
+        console.warn('⚠️  No rooms on page - skipping session reconciliation');
+      }
+
       console.log(`✅ Discovered ${discoveredUsers.size} users from rooms`);
       return Array.from(discoveredUsers);
 
@@ -324,17 +414,78 @@ class Free4TalkTracker {
    */
   async trackSession(username, roomId, action = 'join') {
     try {
-      const sessionData = {
-        username: username,
-        roomId: roomId,
-        joinedAt: action === 'join' ? new Date() : null,
-        leftAt: action === 'leave' ? new Date() : null
-      };
+      if (action === 'join') {
+        return await this.db.openSession(username, roomId, new Date());
+      }
 
-      await this.db.upsertSession(sessionData);
+      const closed = await this.db.closeSession(username, roomId, new Date(), action);
+      if (!closed) {
+        console.error(`❌ Session of ${username} in ${roomId} is still open`);
+      }
+      return closed;
 
     } catch (error) {
       console.error('Error tracking session:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Helper: Every navigation goes through here - wait for the governor,
+   * navigate, report the response back to it, then let the page settle.
+   * Throws when the response was a 429/5xx/challenge rather than the page.
+   */
+  async visit(url, type) {
+    if (this.browser) {
+      this.page = await this.browser.refresh(this.page);
+    }
+
+    if (this.governor) {
+      await this.governor.acquire();
+    }
+
+    let response;
+    try {
+      response = await this.page.goto(url, {
+        waitUntil: config.scraper.waitUntil,
+        timeout: config.scraper.navigationTimeoutMs
+      });
+    } catch (error) {
+      metrics.pagesFetched.inc({ type, status: 'error' });
+      if (this.governor) this.governor.reportError(error);
+      throw error;
+    }
+
+    if (this.governor) {
+      const title = await this.page.title().catch(() => '');
+      const outcome = this.governor.report(response, title);
+      if (outcome !== 'ok') {
+        metrics.pagesFetched.inc({ type, status: outcome });
+        throw new Error(`${type} request refused: ${outcome}`);
+      }
+    }
+    metrics.pagesFetched.inc({ type, status: 'ok' });
+
+    // Client-side rendering and the site's websocket feed need a moment
+    await this.sleep(config.scraper.settleMs);
+    return response;
+  }
+
+  /**
+   * Helper: Tell the drift detector, if there is one, how a parse went
+   */
+  async reportParse(pageType, failureReason) {
+    if (this.drift) {
+      await this.drift.record(this.page, pageType, failureReason);
+    }
+  }
+
+  /**
+   * Helper: Schedule newly found entities on the frontier, if there is one
+   */
+  async enqueue(type, ids) {
+    if (this.frontier) {
+      await this.frontier.enqueue(type, ids);
     }
   }
 
@@ -0,0 +1,333 @@
+// writebuffer.js - Batched writes for users, rooms, participants and relationships
+//
+// Scrapers queue rows instead of upserting them one at a time. A flush writes
+// everything queued in one transaction, as multi-row INSERT ... ON CONFLICT
+// statements, in dependency order (users and rooms before the rows that point
+// at them). Each statement runs under a savepoint: if it fails, its rows are
+// retried one by one so a single bad row is logged and dropped, not the batch.
+const { metrics } = require('./metrics');
+const { mergeObservations, userUpsertStatement, roomUpsertStatement } = require('./merge');
+
+// Rows per statement - keeps the parameter count far below Postgres' 65535
+const STATEMENT_ROWS = 500;
+
+// Write order within a flush
+const KINDS = ['users', 'rooms', 'participants', 'relationships'];
+
+class WriteBuffer {
+  /**
+   * options.maxRows         - queued rows that trigger a flush
+   * options.flushIntervalMs - longest a row waits before it's flushed (0 = only on size or flush())
+   */
+  constructor(db, options) {
+    this.db = db;
+    this.maxRows = options.maxRows;
+    this.flushIntervalMs = options.flushIntervalMs;
+
+    this.pending = emptyPending();
+    this.timer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  /**
+   * Queue a user (same fields as Database.upsertUser). Two rows for the same
+   * user before a flush are merged into one.
+   */
+  user(userData) {
+    return this.add('users', userData.username, userData);
+  }
+
+  /**
+   * Queue a room (same fields as Database.upsertRoom); a later row for the
+   * same room overrides the fields it has
+   */
+  room(roomData) {
+    return this.add('rooms', roomData.roomId, roomData);
+  }
+
+  participants(roomId, participants) {
+    for (const participant of participants) {
+      this.pending.participants.set(`${roomId}\n${participant.username}`, {
+        roomId,
+        username: participant.username,
+        role: participant.role || 'listener'
+      });
+    }
+    return this.afterAdd();
+  }
+
+  /**
+   * Add (or re-open) edges without ending any - for partial lists
+   */
+  relationships(username, relatedUsernames, type) {
+    for (const relatedUsername of relatedUsernames) {
+      this.pending.relationships.set(`${username}\n${relatedUsername}\n${type}`, {
+        username,
+        relatedUsername,
+        type
+      });
+    }
+    return this.afterAdd();
+  }
+
+  add(kind, key, row) {
+    const queued = this.pending[kind].get(key);
+    this.pending[kind].set(key, queued ? mergeRows(kind, queued, row) : row);
+    return this.afterAdd();
+  }
+
+  /**
+   * Flush once maxRows are queued, otherwise make sure the timer is running
+   */
+  afterAdd() {
+    if (this.size() >= this.maxRows) {
+      return this.flush();
+    }
+
+    if (!this.timer && this.flushIntervalMs > 0) {
+      this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.timer.unref();
+    }
+    return Promise.resolve(null);
+  }
+
+  size() {
+    return KINDS.reduce((sum, kind) => sum + this.pending[kind].size, 0);
+  }
+
+  /**
+   * Write everything queued so far. Flushes run one after another, so once
+   * this resolves every row queued before the call is in the database.
+   * Resolves to { written, failed } per kind, or null if nothing was queued
+   * or the batch couldn't be written - it is then queued again for the next flush.
+   */
+  flush() {
+    const run = this.flushing.then(() => this.writePending());
+    this.flushing = run.catch(() => {});
+    return run;
+  }
+
+  async writePending() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.size() === 0) return null;
+
+    let client;
+    try {
+      client = await this.db.pool.connect();
+    } catch (error) {
+      metrics.dbQueryErrors.inc();
+      console.error(`❌ Error flushing write buffer, keeping ${this.size()} rows queued:`, error.message);
+      return null;
+    }
+
+    const batch = this.pending;
+    this.pending = emptyPending();
+    const summary = {};
+
+    try {
+      await client.query('BEGIN');
+      for (const kind of KINDS) {
+        if (batch[kind].size > 0) {
+          summary[kind] = await writeRows(client, kind, Array.from(batch[kind].values()));
+        }
+      }
+      await client.query('COMMIT');
+
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      metrics.dbQueryErrors.inc();
+      this.requeue(batch);
+      console.error(`❌ Error flushing write buffer, keeping ${this.size()} rows queued:`, error.message);
+      return null;
+
+    } finally {
+      client.release();
+    }
+
+    for (const [kind, counts] of Object.entries(summary)) {
+      metrics.dbBufferedRows.inc({ kind, status: 'written' }, counts.written);
+      if (counts.failed > 0) {
+        metrics.dbBufferedRows.inc({ kind, status: 'failed' }, counts.failed);
+      }
+    }
+
+    const parts = Object.entries(summary).map(([kind, counts]) =>
+      `${counts.written} ${kind}${counts.failed ? ` (${counts.failed} failed)` : ''}`);
+    console.log(`💾 Flushed ${parts.join(', ')}`);
+    return summary;
+  }
+
+  /**
+   * Put a batch that wasn't written back under the rows queued since
+   */
+  requeue(batch) {
+    for (const kind of KINDS) {
+      const newer = this.pending[kind];
+      this.pending[kind] = batch[kind];
+      for (const [key, row] of newer) {
+        const queued = batch[kind].get(key);
+        this.pending[kind].set(key, queued ? mergeRows(kind, queued, row) : row);
+      }
+    }
+  }
+
+  /**
+   * Stop the timer and write what's left
+   */
+  async close() {
+    await this.flush();
+  }
+}
+
+function emptyPending() {
+  return Object.fromEntries(KINDS.map(kind => [kind, new Map()]));
+}
+
+/**
+ * Helper: Two queued rows for the same key. Users merge field by field
+ * (merge.js), a room's later fields override the ones it has, and other
+ * kinds carry nothing to merge.
+ */
+function mergeRows(kind, queued, row) {
+  if (kind === 'users') {
+    return mergeObservations(queued, row);
+  }
+  if (kind === 'rooms') {
+    const observed = Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined && value !== null));
+    return { ...queued, ...observed };
+  }
+  return row;
+}
+
+/**
+ * Helper: write one kind in statements of STATEMENT_ROWS. A failed statement
+ * is rolled back to its savepoint and its rows retried individually.
+ */
+async function writeRows(client, kind, rows) {
+  let written = 0;
+  let failed = 0;
+
+  for (let i = 0; i < rows.length; i += STATEMENT_ROWS) {
+    const chunk = rows.slice(i, i + STATEMENT_ROWS);
+
+    try {
+      written += await runStatement(client, kind, chunk);
+    } catch (error) {
+      if (chunk.length === 1) {
+        failed++;
+        console.error(`❌ Dropped ${kind} row ${describeRow(kind, chunk[0])}:`, error.message);
+        continue;
+      }
+
+      for (const row of chunk) {
+        try {
+          written += await runStatement(client, kind, [row]);
+        } catch (rowError) {
+          failed++;
+          console.error(`❌ Dropped ${kind} row ${describeRow(kind, row)}:`, rowError.message);
+        }
+      }
+    }
+  }
+
+  return { written, failed };
+}
+
+/**
+ * Helper: one statement under a savepoint, so a failure leaves the transaction usable
+ */
+async function runStatement(client, kind, rows) {
+  const { text, values } = STATEMENTS[kind](rows);
+
+  await client.query('SAVEPOINT write_buffer');
+  try {
+    const result = await client.query(text, values);
+    await client.query('RELEASE SAVEPOINT write_buffer');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT write_buffer');
+    throw error;
+  }
+}
+
+/**
+ * Helper: `($1, $2), ($3, $4)` for rows of values
+ */
+function valuesList(rows) {
+  const values = [];
+  const tuples = rows.map(row => `(${row.map(value => {
+    values.push(value);
+    return `$${values.length}`;
+  }).join(', ')})`);
+
+  return { list: tuples.join(', '), values };
+}
+
+// Statement builders: rows -> { text, values }. Semantics match the
+// single-row Database methods they replace.
+const STATEMENTS = {
+  // upsertUser, merging field by field (merge.js)
+  users(rows) {
+    return userUpsertStatement(rows);
+  },
+
+  // upsertRoom, logging setting changes to room_changes
+  rooms(rows) {
+    return roomUpsertStatement(rows);
+  },
+
+  // bulkAddRoomParticipants: rows for unknown rooms/users are skipped, and
+  // a user already in the room keeps their open row
+  participants(rows) {
+    const { list, values } = valuesList(rows.map(p => [p.roomId, p.username, p.role]));
+
+    return {
+      text: `
+        INSERT INTO room_participants (room_id, user_id, role)
+        SELECT r.room_id, u.user_id, v.role
+        FROM (VALUES ${list}) AS v (room_id, user_id, role)
+        JOIN rooms r ON r.room_id = v.room_id
+        JOIN users u ON u.user_id = v.user_id
+        ON CONFLICT (room_id, user_id) WHERE left_at IS NULL DO UPDATE SET role = EXCLUDED.role
+      `,
+      values
+    };
+  },
+
+  // bulkInsertRelationships: new edges, and ended ones re-opened
+  relationships(rows) {
+    const { list, values } = valuesList(rows.map(r => [r.username, r.relatedUsername, r.type]));
+
+    return {
+      text: `
+        INSERT INTO user_relationships (user_id, related_user_id, relationship_type)
+        SELECT u1.user_id, u2.user_id, v.relationship_type
+        FROM (VALUES ${list}) AS v (user_id, related_user_id, relationship_type)
+        JOIN users u1 ON u1.user_id = v.user_id
+        JOIN users u2 ON u2.user_id = v.related_user_id
+        ON CONFLICT (user_id, related_user_id, relationship_type) DO UPDATE
+          SET started_at = NOW(), ended_at = NULL
+          WHERE user_relationships.ended_at IS NOT NULL
+      `,
+      values
+    };
+  }
+};
+
+function describeRow(kind, row) {
+  switch (kind) {
+    case 'users':
+      return row.username;
+    case 'rooms':
+      return row.roomId;
+    case 'participants':
+      return `${row.username} in ${row.roomId}`;
+    default:
+      return `${row.username} -> ${row.relatedUsername} (${row.type})`;
+  }
+}
+
+module.exports = WriteBuffer;